@@ -0,0 +1,129 @@
+/**
+ * Chat panel for the lobby (setup.html) and the game page (presidente.html)
+ *
+ * The panel only sends text: the server stamps each message with the
+ * sender's seat or spectator name and replays recent history on arrival.
+ */
+class ChatPanel {
+    /**
+     * @param {Object} socket - Socket.IO connection
+     * @param {HTMLElement} root - The .chat-panel element
+     * @param {string|null} [roomId] - Room to chat in, or null for the lobby
+     */
+    constructor(socket, root, roomId = null) {
+        this.socket = socket;
+        this.root = root;
+        this.roomId = roomId;
+        this.unread = 0;
+
+        this.messagesEl = root.querySelector('.chat-messages');
+        this.formEl = root.querySelector('.chat-form');
+        this.inputEl = root.querySelector('.chat-input');
+        this.unreadEl = root.querySelector('.chat-unread');
+
+        if (window.GameConfig) {
+            this.inputEl.maxLength = window.GameConfig.GAME_CONFIG.CHAT.MAX_LENGTH;
+        }
+
+        this.initializeEventListeners();
+    }
+
+    /**
+     * Wires up the toggle, the send form and the server's chat events
+     */
+    initializeEventListeners() {
+        this.root.querySelector('.chat-toggle-btn').addEventListener('click', () => this.toggle());
+        this.formEl.addEventListener('submit', e => {
+            e.preventDefault();
+            this.send();
+        });
+
+        // History replaces whatever is shown (it arrives again after a reconnect)
+        this.socket.on('chatHistory', ({ messages }) => {
+            this.messagesEl.innerHTML = '';
+            messages.forEach(message => this.appendMessage(message));
+        });
+        this.socket.on('chat', message => {
+            this.appendMessage(message);
+            if (this.root.classList.contains('collapsed')) {
+                this.unread++;
+                this.updateUnread();
+            }
+        });
+    }
+
+    /**
+     * Expands or collapses the panel; expanding marks everything as read
+     */
+    toggle() {
+        this.root.classList.toggle('collapsed');
+        if (!this.root.classList.contains('collapsed')) {
+            this.unread = 0;
+            this.updateUnread();
+            this.inputEl.focus();
+        }
+    }
+
+    /**
+     * Shows the unread count on the toggle button
+     */
+    updateUnread() {
+        if (!this.unreadEl) return;
+        this.unreadEl.hidden = this.unread === 0;
+        this.unreadEl.textContent = this.unread;
+    }
+
+    /**
+     * Sends the typed message; a refusal is shown in the panel
+     */
+    send() {
+        const message = this.inputEl.value.trim();
+        if (!message) return;
+
+        this.socket.emit('chat', { roomId: this.roomId, message }, response => {
+            if (response && response.ok) {
+                this.inputEl.value = '';
+            } else if (response) {
+                this.appendNotice(response.message);
+            }
+        });
+    }
+
+    /**
+     * Adds one message to the list, keeping the newest in view
+     * @param {Object} message - { name, message, time, spectator }
+     */
+    appendMessage({ name, message, time, spectator }) {
+        const line = document.createElement('div');
+        line.className = 'chat-message';
+        line.title = new Date(time).toLocaleTimeString();
+
+        const nameEl = document.createElement('span');
+        nameEl.className = 'chat-name';
+        nameEl.textContent = spectator ? `${name} (watching)` : name;
+        line.appendChild(nameEl);
+        line.appendChild(document.createTextNode(` ${message}`));
+
+        this.appendLine(line);
+    }
+
+    /**
+     * Adds a local notice, such as a refused message, to the list
+     * @param {string} text - Notice text
+     */
+    appendNotice(text) {
+        const line = document.createElement('div');
+        line.className = 'chat-message chat-notice';
+        line.textContent = text;
+        this.appendLine(line);
+    }
+
+    /**
+     * Appends a line and scrolls to it
+     * @param {HTMLElement} line - The line element
+     */
+    appendLine(line) {
+        this.messagesEl.appendChild(line);
+        this.messagesEl.scrollTop = this.messagesEl.scrollHeight;
+    }
+}
@@ -5,7 +5,7 @@ class SetupManager {
     constructor() {
         this.form = document.getElementById('playerSetupForm');
         this.startButton = document.querySelector('.start-game-btn');
-        this.inputs = document.querySelectorAll('input[type="text"]');
+        this.inputs = document.querySelectorAll('.player-input-group input[type="text"]');
         
         this.initializeEventListeners();
         this.setupInputValidation();
@@ -181,8 +181,16 @@ class SetupManager {
         // Show loading state
         this.setLoadingState(true);
         
-        // Store player names in session storage
+        // Store player names and the chosen rules in session storage
         sessionStorage.setItem('presidentePlayerNames', JSON.stringify(playerNames));
+        const rulesetSelect = document.getElementById('rulesetSelect');
+        if (rulesetSelect) {
+            sessionStorage.setItem('presidenteRuleset', rulesetSelect.value);
+        }
+        const useJokers = document.getElementById('useJokers');
+        if (useJokers) {
+            sessionStorage.setItem('presidenteJokers', useJokers.checked ? 'true' : 'false');
+        }
         
         // Navigate to game page after a short delay for UX
         setTimeout(() => {
@@ -303,8 +311,40 @@ document.addEventListener('DOMContentLoaded', () => {
     const createBtn    = document.getElementById('createRoomBtn');
     const nameInputEl  = document.getElementById('playerName');
     const joinBtn      = document.getElementById('joinGameBtn');
+    const seatsInputEl  = document.getElementById('roomSeats');
+    const handsInputEl  = document.getElementById('matchHands');
+    const targetInputEl = document.getElementById('matchTarget');
+    const rulesetSelectEl = document.getElementById('rulesetSelect');
+    const jokersInputEl = document.getElementById('useJokers');
+    const privateInputEl  = document.getElementById('privateRoom');
+    const passwordInputEl = document.getElementById('roomPassword');
+
+    // Opened from an invite link (/room/<code>): join that private room
+    const inviteCode = new URLSearchParams(window.location.search).get('invite');
+    const storedName = sessionStorage.getItem('presidentePlayerName');
+    if (inviteCode && storedName) {
+        nameInputEl.value = storedName;
+        setupManager.validateInput(nameInputEl);
+    }
+
+    // Offer every ruleset preset
+    const { RULESETS, DEFAULT_RULESET } = window.PresidenteRulesets;
+    Object.values(RULESETS).forEach(ruleset => {
+        const option = document.createElement('option');
+        option.value = ruleset.id;
+        option.textContent = ruleset.name;
+        option.title = ruleset.description;
+        option.selected = ruleset.id === DEFAULT_RULESET;
+        rulesetSelectEl.appendChild(option);
+    });
     let selectedRoomId = null;
 
+    // Lobby chat: the server shows us under the name typed above
+    const enterLobbyChat = () => socket.emit('joinLobby', { name: nameInputEl.value.trim() });
+    new ChatPanel(socket, document.getElementById('chatPanel'));
+    socket.on('connect', enterLobbyChat);
+    nameInputEl.addEventListener('change', enterLobbyChat);
+
     // Request room list initially and every 5 s
     socket.emit('listRooms');
     setInterval(() => socket.emit('listRooms'), 5000);
@@ -318,9 +358,19 @@ document.addEventListener('DOMContentLoaded', () => {
         rooms.forEach(room => {
             const roomId = room.id || room; // handle both string and object formats
             const count = room.count || 0;
+            const seats = room.seats || 4;
+            const rulesetName = room.ruleset ? room.ruleset.name + (room.jokers ? ' + jokers' : '') : '';
             const card = document.createElement('div');
             card.className = 'room-card';
-            card.innerHTML = `<div class="room-id">${roomId}</div><div class="room-count">${count}/4</div>`;
+            // Live games can't be joined, only watched
+            if (room.status === 'in-game') {
+                card.classList.add('live');
+                card.innerHTML = `<div class="room-id">${roomId}</div><div class="room-ruleset">${rulesetName}</div><div class="room-count"><i class="fas fa-eye"></i> Watch (${room.spectators || 0})</div>`;
+                card.addEventListener('click', () => watch(roomId));
+                roomGridEl.appendChild(card);
+                return;
+            }
+            card.innerHTML = `<div class="room-id">${roomId}</div><div class="room-ruleset">${rulesetName}</div><div class="room-count">${count}/${seats}</div>`;
             if (roomId === selectedRoomId) card.classList.add('selected');
             card.addEventListener('click', () => {
                 selectedRoomId = roomId;
@@ -331,29 +381,76 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     });
 
-    function join(roomId) {
+    /**
+     * @param {string|null} roomId - Room to join or create (null when joining by invite code)
+     * @param {Object} [settings] - Room settings, used only if this join creates the room
+     * @param {Object} [access] - Invite code or password for a private room
+     */
+    function join(roomId, settings = {}, access = {}) {
         const playerName = nameInputEl.value.trim();
         if (!playerName) {
             alert('Enter your name first');
             return;
         }
-        if (!roomId) {
+        if (!roomId && !access.inviteCode) {
             alert('Select or create a room');
             return;
         }
         sessionStorage.setItem('presidentePlayerName', playerName);
+        sessionStorage.removeItem('presidenteSpectate');
+        // Settings only apply when this join creates the room. The password
+        // is never kept: the session token gets us back in after a refresh.
+        const { password, ...storedSettings } = settings;
+        sessionStorage.setItem('presidenteMatchSettings', JSON.stringify(storedSettings));
+        socket.emit('joinRoom', { roomId, name: playerName, settings, ...access });
+    }
+
+    // Spectate a live game: the game page asks the server for a watch-only view
+    function watch(roomId) {
+        const playerName = nameInputEl.value.trim() || 'Spectator';
+        sessionStorage.setItem('presidentePlayerName', playerName);
         sessionStorage.setItem('presidenteRoomId', roomId);
-        socket.emit('joinRoom', { roomId, name: playerName });
+        sessionStorage.setItem('presidenteSpectate', 'true');
+        sessionStorage.removeItem('presidenteSessionToken');
+        sessionStorage.removeItem('presidenteInviteCode');
+        window.location.href = 'presidente.html';
+    }
+
+    // Ask for a name the server will take, asking again while it is too long.
+    // No name gets a random one.
+    function askRoomName() {
+        const { ROOM_NAME_MAX_LENGTH } = window.GameConfig.GAME_CONFIG;
+        let question = `Enter room name (letters/numbers, up to ${ROOM_NAME_MAX_LENGTH}):`;
+        let name = prompt(question)?.trim();
+        while (name && name.length > ROOM_NAME_MAX_LENGTH) {
+            question = `That name is ${name.length} characters long; the limit is ${ROOM_NAME_MAX_LENGTH}. Enter room name:`;
+            name = prompt(question, name.slice(0, ROOM_NAME_MAX_LENGTH))?.trim();
+        }
+        return name || `room-${Math.random().toString(36).slice(2, 8)}`;
     }
 
     createBtn.addEventListener('click', () => {
-        const roomId = prompt('Enter room name (letters/numbers):')?.trim() || `room-${Math.random().toString(36).slice(2, 8)}`;
+        const roomId = askRoomName();
         selectedRoomId = roomId;
-        join(roomId);
+        sessionStorage.setItem('presidenteRuleset', rulesetSelectEl.value);
+        sessionStorage.setItem('presidenteJokers', jokersInputEl.checked ? 'true' : 'false');
+        join(roomId, {
+            seats: parseInt(seatsInputEl.value, 10),
+            maxHands: parseInt(handsInputEl.value, 10),
+            targetScore: parseInt(targetInputEl.value, 10),
+            ruleset: rulesetSelectEl.value,
+            jokers: jokersInputEl.checked,
+            private: privateInputEl.checked,
+            password: passwordInputEl.value
+        });
     });
 
     joinBtn.addEventListener('click', e => {
         e.preventDefault();
+        if (inviteCode && !selectedRoomId) {
+            join(null, {}, { inviteCode });
+            return;
+        }
         if (!selectedRoomId) {
             alert('Please select a room first');
             return;
@@ -361,10 +458,37 @@ document.addEventListener('DOMContentLoaded', () => {
         join(selectedRoomId);
     });
 
-    socket.on('joined', () => {
+    // Join straight away when the invite link came with a known name
+    if (inviteCode && storedName) {
+        join(null, {}, { inviteCode });
+    }
+
+    socket.on('joined', data => {
+        // Keep the session token so the game page can take over this seat
+        sessionStorage.setItem('presidenteSessionToken', data.token);
+        sessionStorage.setItem('presidenteRoomId', data.roomId);
+        if (data.inviteCode) {
+            sessionStorage.setItem('presidenteInviteCode', data.inviteCode);
+        } else {
+            sessionStorage.removeItem('presidenteInviteCode');
+        }
         // Navigate to game page once joined
         window.location.href = 'presidente.html';
     });
 
-    socket.on('roomFull', () => alert('Room is full (4 players). Choose another.'));
+    socket.on('roomFull', () => alert('Room is full. Choose another.'));
+    socket.on('roomLocked', () => alert('Room is locked. Choose another.'));
+    socket.on('roomNotFound', () => alert('That invite link is no longer valid.'));
+    // Anything else the server refused, e.g. a request that failed its checks
+    socket.on('gameError', ({ message }) => alert(message));
+
+    // Private room: ask for its password, or explain that an invite is needed
+    socket.on('roomPrivate', ({ roomId, hasPassword, wrongPassword }) => {
+        if (!hasPassword) {
+            alert('This room is private. Ask the host for an invite link.');
+            return;
+        }
+        const password = prompt(wrongPassword ? 'Wrong password. Try again:' : `Room ${roomId} needs a password:`);
+        if (password) join(roomId, {}, { password });
+    });
 }); 
\ No newline at end of file
@@ -0,0 +1,148 @@
+/**
+ * Presidente Bot
+ *
+ * A simple computer player for empty seats. It only picks moves: the caller
+ * applies them through the rules engine (rules.js), and every candidate is
+ * checked with GameState.canPlayCards(), so bots play by exactly the same
+ * rules as everyone else.
+ *
+ * Strategy: lead the weakest rank you hold (all copies of it), answer with
+ * the weakest play that beats the table, keep jokers for when nothing else
+ * will do, and hand back the weakest cards in the exchange.
+ */
+
+const BotRules = (typeof module !== 'undefined' && module.exports)
+    ? require('./rules')
+    : window.PresidenteRules;
+const BotConfig = (typeof module !== 'undefined' && module.exports)
+    ? require('./game-config')
+    : window.GameConfig;
+
+/**
+ * Groups the natural (non-joker) cards of a hand by value
+ * @param {Array} hand - The cards held
+ * @returns {Map<number, Array>} - Value -> cards of that value
+ */
+function groupByValue(hand) {
+    const groups = new Map();
+    hand.filter(card => !BotRules.isJoker(card)).forEach(card => {
+        if (!groups.has(card.value)) groups.set(card.value, []);
+        groups.get(card.value).push(card);
+    });
+    return groups;
+}
+
+/**
+ * Lists the runs of a given length a hand can make, without jokers
+ * @param {Array} hand - The cards held
+ * @param {number} length - Cards in the run
+ * @param {boolean} sameSuit - Whether every card must share one suit
+ * @returns {Array<Array>} - Candidate runs
+ */
+function findRuns(hand, length, sameSuit) {
+    const { CARD_VALUES, CARD_SUITS } = BotConfig;
+    const runs = [];
+    for (let low = CARD_VALUES['3']; low + length - 1 <= CARD_VALUES['2']; low++) {
+        const suits = sameSuit ? CARD_SUITS : [null];
+        suits.forEach(suit => {
+            const run = [];
+            for (let value = low; value < low + length; value++) {
+                const card = hand.find(c => c.value === value && (!suit || c.suit === suit));
+                if (!card) return;
+                run.push(card);
+            }
+            runs.push(run);
+        });
+    }
+    return runs;
+}
+
+/**
+ * Lists every play the bot would consider for the current table, legal or not
+ * @param {GameState} gameState - The hand in progress
+ * @param {Array} hand - The bot's cards
+ * @returns {Array<Array>} - Candidate plays
+ */
+function getCandidatePlays(gameState, hand) {
+    const jokers = hand.filter(card => BotRules.isJoker(card));
+    const groups = groupByValue(hand);
+    const table = gameState.classifyPlay(gameState.currentHighestCards);
+
+    // Leading: a whole rank at a time, or a lone joker
+    if (!table) {
+        return [...groups.values(), ...jokers.slice(0, 1).map(joker => [joker])];
+    }
+
+    if (table.type === 'run') {
+        return findRuns(hand, table.length, gameState.ruleset.runsSameSuit);
+    }
+
+    // Singles and sets: match the table's size, topping up with jokers
+    const plays = [];
+    groups.forEach(cards => {
+        const missing = table.length - cards.length;
+        if (missing <= 0) {
+            plays.push(cards.slice(0, table.length));
+        } else if (missing <= jokers.length) {
+            plays.push([...cards, ...jokers.slice(0, missing)]);
+        }
+    });
+    if (jokers.length >= table.length) {
+        plays.push(jokers.slice(0, table.length));
+    }
+    return plays;
+}
+
+/**
+ * Chooses the cards a bot plays on its turn
+ * @param {GameState} gameState - The hand in progress
+ * @param {number} playerIndex - The bot's seat
+ * @returns {Array|null} - The cards to play, or null to pass
+ */
+function chooseBotPlay(gameState, playerIndex) {
+    const player = gameState.players[playerIndex];
+    const jokerCount = cards => cards.filter(card => BotRules.isJoker(card)).length;
+
+    const plays = getCandidatePlays(gameState, player.hand)
+        .filter(cards => gameState.canPlayCards(player, cards))
+        .sort((a, b) =>
+            jokerCount(a) - jokerCount(b) ||
+            BotRules.compareValues(
+                gameState.classifyPlay(a).value,
+                gameState.classifyPlay(b).value,
+                gameState.revolution
+            )
+        );
+
+    return plays[0] || null;
+}
+
+/**
+ * Chooses the cards a bot hands back during the exchange
+ * @param {GameState} gameState - The hand in progress
+ * @param {number} playerIndex - The bot's seat
+ * @returns {Array} - The weakest cards, as many as the exchange asks for
+ */
+function chooseBotExchange(gameState, playerIndex) {
+    const exchange = gameState.getPendingExchange(playerIndex);
+    if (!exchange) return [];
+
+    return [...gameState.players[playerIndex].hand]
+        .sort((a, b) => a.value - b.value)
+        .slice(0, exchange.count);
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js/CommonJS
+    module.exports = {
+        chooseBotPlay,
+        chooseBotExchange
+    };
+} else {
+    // Browser/global
+    window.PresidenteBot = {
+        chooseBotPlay,
+        chooseBotExchange
+    };
+}
@@ -17,18 +17,77 @@ const CARD_VALUES = {
     'J': 11, 'Q': 12, 'K': 13, 'A': 14, '2': 15
 };
 
+// Optional jokers (54-card deck): wild inside a set, highest card alone
+const JOKER = {
+    rank: 'Joker',
+    value: 16,
+    suits: ['red', 'black']
+};
+
 // Game settings
 const GAME_CONFIG = {
     // Number of players
     MIN_PLAYERS: 2,
-    MAX_PLAYERS: 4,
+    MAX_PLAYERS: 8,
+    DEFAULT_PLAYERS: 4,
     
-    // Cards per player (for 4 players: 13 cards each)
+    // Cards per player (for 4 players: 13 cards each; the whole deck is
+    // always dealt, so other table sizes get uneven hands)
     CARDS_PER_PLAYER: 13,
     
-    // Turn timeout in milliseconds (e.g., 30 seconds per turn)
+    // Tables larger than this are dealt from two decks shuffled together
+    SINGLE_DECK_MAX_PLAYERS: 5,
+    
+    // Longest room name (it is also the room's id)
+    ROOM_NAME_MAX_LENGTH: 40,
+    
+    // Shortest run (straight) of consecutive ranks, where runs are allowed
+    MIN_RUN_LENGTH: 3,
+    
+    // Turn timeout in milliseconds (e.g., 30 seconds per turn). Enforced by
+    // the server: on expiry it passes for the player, or plays their weakest
+    // card if they are leading.
     TURN_TIMEOUT: 30000,
     
+    // Cards swapped before each new hand, by title pair:
+    // [Presidente <-> Cu, Vice <-> Sobre]
+    EXCHANGE_SIZES: [2, 1],
+    
+    // Pause between the end of a hand and the next deal, in milliseconds
+    NEXT_HAND_DELAY: 5000,
+    
+    // How long the client waits for the server to acknowledge an action, in milliseconds
+    ACTION_TIMEOUT: 10000,
+    
+    // How long a disconnected player's seat is held for them, in milliseconds
+    RECONNECT_GRACE_PERIOD: 60000,
+    
+    // How long a room created empty (POST /api/rooms) waits for its first
+    // player before it is closed, in milliseconds
+    EMPTY_ROOM_TIMEOUT: 10 * 60 * 1000,
+    
+    // Server bots wait a random time in this range before acting, in milliseconds
+    BOT_DELAY: {
+        MIN: 800,
+        MAX: 2000
+    },
+    
+    // Chat: messages kept per room (and for the lobby) for new arrivals, the
+    // longest message, and how many messages a socket may send per window
+    CHAT: {
+        HISTORY_SIZE: 50,
+        MAX_LENGTH: 200,
+        BURST: 5,
+        BURST_WINDOW: 5000
+    },
+    
+    // Match length: whichever limit is reached first ends the match.
+    // Each hand scores (players - finish position) points.
+    MATCH: {
+        MAX_HANDS: 5,
+        TARGET_SCORE: 10
+    },
+    
     // Animation durations in milliseconds
     ANIMATION_DURATIONS: {
         CARD_DEAL: 100,
@@ -49,18 +108,35 @@ const GAME_CONFIG = {
 // Game phases
 const GAME_PHASES = {
     WAITING: 'waiting',   // Waiting for players
+    EXCHANGING: 'exchanging', // Titled players swapping cards before the hand
     PLAYING: 'playing',   // Game in progress
     ROUND_END: 'roundEnd', // Round ended
     GAME_OVER: 'gameOver' // Game over
 };
 
-// Player positions (for 4-player game)
-const PLAYER_POSITIONS = [
-    { id: 0, name: 'Player 1', className: 'player-1' },
-    { id: 1, name: 'Player 2', className: 'player-2' },
-    { id: 2, name: 'Player 3', className: 'player-3' },
-    { id: 3, name: 'Player 4', className: 'player-4' }
-];
+// Why a game action was refused: stable codes sent back in action
+// acknowledgements ({ ok: false, code, message }), with their messages
+const ACTION_ERRORS = {
+    NOT_YOUR_TURN: 'It is not your turn.',
+    WRONG_COUNT: 'Play the same number of cards as the table.',
+    TOO_LOW: 'Those cards do not beat the table.',
+    NOT_IN_HAND: 'You do not hold those cards.',
+    MIXED_RANKS: 'Those cards do not make a valid play.',
+    GAME_NOT_RUNNING: 'There is no game in progress.',
+    STALE_STATE: 'The game moved on before your move arrived. Try again.',
+    EMPTY_MESSAGE: 'Type a message first.',
+    MESSAGE_TOO_LONG: `Messages are limited to ${GAME_CONFIG.CHAT.MAX_LENGTH} characters.`,
+    CHAT_FLOOD: 'You are sending messages too fast. Wait a moment.',
+    NOT_IN_ROOM: 'Join a room (or enter the lobby) before chatting.',
+    INVALID_PAYLOAD: 'The server could not read that request.'
+};
+
+// Player positions (one per seat, up to MAX_PLAYERS)
+const PLAYER_POSITIONS = Array.from({ length: GAME_CONFIG.MAX_PLAYERS }, (_, id) => ({
+    id,
+    name: `Player ${id + 1}`,
+    className: `player-${id + 1}`
+}));
 
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
@@ -69,8 +145,10 @@ if (typeof module !== 'undefined' && module.exports) {
         CARD_SUITS,
         CARD_RANKS,
         CARD_VALUES,
+        JOKER,
         GAME_CONFIG,
         GAME_PHASES,
+        ACTION_ERRORS,
         PLAYER_POSITIONS
     };
 } else {
@@ -79,8 +157,10 @@ if (typeof module !== 'undefined' && module.exports) {
         CARD_SUITS,
         CARD_RANKS,
         CARD_VALUES,
+        JOKER,
         GAME_CONFIG,
         GAME_PHASES,
+        ACTION_ERRORS,
         PLAYER_POSITIONS
     };
 }
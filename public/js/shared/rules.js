@@ -0,0 +1,992 @@
+/**
+ * Presidente Rules Engine
+ *
+ * The game rules shared by the server and the browser: dealing, the card
+ * exchange, play validation, passing and trick/hand resolution. Nothing in
+ * here touches the DOM or sockets, so the local game and the server run
+ * exactly the same rules.
+ *
+ * Card values: 3=3, ..., J=11, Q=12, K=13, A=14, 2=15, Joker=16
+ * (see game-config.js)
+ */
+
+const RulesConfig = (typeof module !== 'undefined' && module.exports)
+    ? require('./game-config')
+    : window.GameConfig;
+const RulesetRegistry = (typeof module !== 'undefined' && module.exports)
+    ? require('./rulesets')
+    : window.PresidenteRulesets;
+
+const LOWEST_VALUE = RulesConfig.CARD_VALUES['3'];
+const TWO_VALUE = RulesConfig.CARD_VALUES['2'];
+const JOKER_VALUE = RulesConfig.JOKER.value;
+
+// Replay files (see GameState.getReplay()); bump the version whenever the
+// file layout or the meaning of a logged action changes
+const REPLAY_FORMAT = 'presidente-replay';
+const REPLAY_VERSION = 1;
+
+/**
+ * Represents a playing card with suit, rank, and numeric value
+ */
+class Card {
+    constructor(suit, rank, value) {
+        this.suit = suit;
+        this.rank = rank;
+        this.value = value;
+    }
+
+    /**
+     * Compares this card with another card
+     * @param {Card} otherCard - The card to compare against
+     * @param {boolean} [revolution] - Compare in inverted (revolution) order
+     * @returns {number} -1 if this card is lower, 0 if equal, 1 if higher
+     */
+    compareTo(otherCard, revolution = false) {
+        return compareValues(this.value, otherCard.value, revolution);
+    }
+}
+
+/**
+ * Compares two card values in the current rank order
+ * @param {number} a - First value
+ * @param {number} b - Second value
+ * @param {boolean} [revolution] - Inverted order: 3 is high, 2 is low
+ * @returns {number} -1 if a ranks lower, 0 if equal, 1 if higher
+ */
+function compareValues(a, b, revolution = false) {
+    const order = Math.sign(a - b);
+    return revolution ? -order : order;
+}
+
+/**
+ * Creates a standard 52-card deck, shuffled
+ * @param {Object} [options]
+ * @param {boolean} [options.jokers] - Add the two jokers (54 cards)
+ * @param {number} [options.decks] - Number of decks shuffled together
+ * @returns {Array<Card>} - The shuffled deck
+ */
+function createDeck(options = {}) {
+    const deck = [];
+    for (let d = 0; d < (options.decks || 1); d++) {
+        RulesConfig.CARD_SUITS.forEach(suit => {
+            RulesConfig.CARD_RANKS.forEach(rank => {
+                deck.push(new Card(suit, rank, RulesConfig.CARD_VALUES[rank]));
+            });
+        });
+        if (options.jokers) {
+            const { suits, rank } = RulesConfig.JOKER;
+            suits.forEach(suit => deck.push(new Card(suit, rank, JOKER_VALUE)));
+        }
+    }
+    return shuffle(deck);
+}
+
+/**
+ * Shuffles cards in place using the Fisher-Yates algorithm
+ * @param {Array} cards - The cards to shuffle
+ * @returns {Array} - The same array, shuffled
+ */
+function shuffle(cards) {
+    for (let i = cards.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [cards[i], cards[j]] = [cards[j], cards[i]];
+    }
+    return cards;
+}
+
+/**
+ * Checks if two cards are the same physical card
+ * @param {Object} a - First card ({ suit, value })
+ * @param {Object} b - Second card ({ suit, value })
+ * @returns {boolean}
+ */
+function isSameCard(a, b) {
+    return a.suit === b.suit && a.value === b.value;
+}
+
+/**
+ * Gets the highest rank of a run. Jokers fill the gaps between the other
+ * cards; any left over extend the run upwards (downwards once it reaches 2).
+ * @param {Array} cards - The cards played together, at least one not a joker
+ * @param {boolean} sameSuit - Whether every card must share one suit
+ * @returns {number|null} - Value of the run's top card, or null if not a run
+ */
+function getRunTop(cards, sameSuit) {
+    const naturals = cards.filter(card => !isJoker(card));
+    if (sameSuit && new Set(naturals.map(card => card.suit)).size > 1) {
+        return null;
+    }
+
+    const values = naturals.map(card => card.value).sort((a, b) => a - b);
+    if (new Set(values).size !== values.length) {
+        return null; // A rank can't appear twice in a run
+    }
+
+    const low = values[0];
+    const high = values[values.length - 1];
+    if (high - low + 1 > cards.length) {
+        return null; // Not enough jokers to fill the gaps
+    }
+
+    const top = Math.min(low + cards.length - 1, TWO_VALUE);
+    return top - cards.length + 1 >= LOWEST_VALUE ? top : null;
+}
+
+/**
+ * Finds the hand positions of the given cards. With two decks a hand can
+ * hold identical cards, so each position is used at most once.
+ * @param {Array} hand - The cards held
+ * @param {Array} cards - The cards looked for
+ * @returns {Array<number>|null} - Hand indexes, or null if a card isn't held
+ */
+function findCardIndexes(hand, cards) {
+    const indexes = [];
+    for (const card of cards) {
+        const index = hand.findIndex((c, i) => isSameCard(c, card) && !indexes.includes(i));
+        if (index === -1) return null;
+        indexes.push(index);
+    }
+    return indexes;
+}
+
+/**
+ * Gets the title that goes with a finish position. The Presidente and the
+ * Cu are always named; Vice and Sobre only from four players up, and any
+ * seats in between are untitled.
+ * @param {number} position - Finish position (1 = first out)
+ * @param {number} playerCount - Players in the hand
+ * @returns {string|null} - Presidente, Vice, Sobre, Cu or null
+ */
+function getTitle(position, playerCount) {
+    if (position === 1) return 'Presidente';
+    if (position === playerCount) return 'Cu';
+    if (playerCount >= 4 && position === 2) return 'Vice';
+    if (playerCount >= 4 && position === playerCount - 1) return 'Sobre';
+    return null;
+}
+
+/**
+ * Checks if a card is a joker
+ * @param {Object} card - The card ({ value })
+ * @returns {boolean}
+ */
+function isJoker(card) {
+    return card.value === JOKER_VALUE;
+}
+
+/**
+ * Gets the rank a set of cards counts as. Jokers take the value of the
+ * other cards; a set of jokers alone counts as jokers.
+ * @param {Array} cards - The cards played together
+ * @returns {number} - The card value of the set
+ */
+function getPlayValue(cards) {
+    const natural = cards.find(card => !isJoker(card));
+    return natural ? natural.value : JOKER_VALUE;
+}
+
+/**
+ * State and rules of a single hand of Presidente
+ */
+class GameState {
+    /**
+     * @param {Array} [players] - Seated players ({ id, name }); deals immediately if given
+     * @param {Object} [options] - See deal()
+     */
+    constructor(players = [], options = {}) {
+        this.ruleset = RulesetRegistry.getRuleset(options.ruleset);
+        this.jokers = options.jokers === true; // Deal a 54-card deck
+        this.reset();
+        if (players.length > 0) {
+            this.deal(players, options);
+        }
+    }
+
+    /**
+     * Resets all state variables to their initial values
+     */
+    reset() {
+        this.players = [];
+        this.currentPlayerIndex = 0;
+        this.currentRound = 0; // Turns taken in the current trick
+        this.centerCards = [];
+        this.lastPlayedCards = [];
+        this.currentHighestCard = null; // For backward compatibility
+        this.currentHighestCards = []; // Cards currently on the table
+        this.roundWinner = null;
+        this.roundLeader = null; // Player who played the current highest cards
+        this.playersWhoSkipped = new Set(); // Track who has passed since the last play
+        this.consecutiveSkips = 0;
+        this.finishedPlayers = 0;
+        this.foulFinishes = 0; // Players who went out on a forbidden 2
+        this.gamePhase = RulesConfig.GAME_PHASES.WAITING;
+        this.gameWinner = null;
+        this.gameSecond = null;
+        this.gameThird = null;
+        this.gameLoser = null;
+        this.exchanges = []; // Pending/completed swaps between titled players
+        this.revolution = false; // Rank order inverted by four of a kind
+        this.turnDeadline = null; // Time (ms) the current turn runs out; set by the server
+        this.actionLog = []; // Everything that happened this hand, in order (see getReplay())
+    }
+
+    /**
+     * Creates the record kept for each seated player. Override to use a
+     * richer player class.
+     * @param {Object} player - Seated player ({ id, name })
+     * @param {number} index - Seat index
+     * @returns {Object} - The player record
+     */
+    createPlayer(player, index) {
+        return {
+            id: player.id,
+            name: player.name,
+            index: index,
+            hand: [],
+            isWinner: false,
+            finishPosition: null
+        };
+    }
+
+    /**
+     * Seats the players and deals a new hand
+     * @param {Array} players - Seated players ({ id, name })
+     * @param {Object} [options]
+     * @param {Array} [options.previousStandings] - Player ids in the finishing
+     *   order of the previous hand; starts the card exchange
+     * @param {string} [options.ruleset] - Ruleset id (keeps the current one if omitted)
+     * @param {Array} [options.hands] - Cards for each seat instead of a
+     *   shuffled deck, and [options.openingPlayerIndex] - who leads; both
+     *   used to replay a recorded deal
+     */
+    deal(players, options = {}) {
+        this.reset();
+        if (options.ruleset) {
+            this.ruleset = RulesetRegistry.getRuleset(options.ruleset);
+        }
+        if (options.jokers !== undefined) {
+            this.jokers = options.jokers === true;
+        }
+        this.players = players.map((p, index) => this.createPlayer(p, index));
+
+        if (options.hands) {
+            this.players.forEach((player, index) => {
+                player.hand = options.hands[index].map(card => new Card(card.suit, card.rank, card.value));
+            });
+        } else {
+            // Deal the whole deck round the table, so hands may differ by a card
+            const decks = this.players.length > RulesConfig.GAME_CONFIG.SINGLE_DECK_MAX_PLAYERS ? 2 : 1;
+            const deck = createDeck({ jokers: this.jokers, decks });
+            deck.forEach((card, i) => {
+                this.players[i % this.players.length].hand.push(card);
+            });
+        }
+
+        this.currentPlayerIndex = options.openingPlayerIndex !== undefined
+            ? options.openingPlayerIndex
+            : this.getOpeningPlayerIndex();
+        this.gamePhase = RulesConfig.GAME_PHASES.PLAYING;
+        this.actionLog.push({
+            type: 'deal',
+            hands: this.players.map(p => [...p.hand]), // Before the exchange
+            openingPlayerIndex: this.currentPlayerIndex,
+            previousStandings: options.previousStandings || null
+        });
+
+        if (options.previousStandings) {
+            this.startExchange(options.previousStandings);
+        }
+    }
+
+    /**
+     * Picks who leads a fresh hand: the holder of the ruleset's opening
+     * card, or a random seat
+     * @returns {number} - Seat index
+     */
+    getOpeningPlayerIndex() {
+        const openingCard = this.ruleset.openingCard;
+        if (openingCard) {
+            const card = { suit: openingCard.suit, value: RulesConfig.CARD_VALUES[openingCard.rank] };
+            const holder = this.players.findIndex(p => p.hand.some(c => isSameCard(c, card)));
+            if (holder !== -1) return holder;
+        }
+        return Math.floor(Math.random() * this.players.length);
+    }
+
+    // ------------------------------------------------------------------
+    // Card exchange
+    // ------------------------------------------------------------------
+
+    /**
+     * Starts the exchange phase from the previous hand's finishing order.
+     * The lower title's best cards move up automatically; the higher title
+     * then chooses which cards to hand back through exchangeCards().
+     * @param {Array} standings - Player ids, Presidente first
+     */
+    startExchange(standings) {
+        const seats = standings
+            .map(id => this.players.findIndex(p => p.id === id))
+            .filter(index => index !== -1);
+
+        this.exchanges = [];
+        RulesConfig.GAME_CONFIG.EXCHANGE_SIZES.forEach((count, rank) => {
+            const toIndex = seats[rank];
+            const fromIndex = seats[seats.length - 1 - rank];
+            // Stop once the pairs meet in the middle (e.g. no Vice/Sobre with 3 players)
+            if (toIndex === undefined || rank >= seats.length - 1 - rank) return;
+
+            const giver = this.players[fromIndex];
+            const receiver = this.players[toIndex];
+            const bestCards = [...giver.hand]
+                .sort((a, b) => b.value - a.value)
+                .slice(0, count);
+            bestCards.forEach(card => {
+                giver.hand.splice(giver.hand.indexOf(card), 1);
+                receiver.hand.push(card);
+            });
+
+            this.exchanges.push({ fromIndex, toIndex, count, returned: false });
+        });
+
+        if (this.exchanges.length === 0) return;
+
+        this.gamePhase = RulesConfig.GAME_PHASES.EXCHANGING;
+        this.currentPlayerIndex = this.exchanges[0].toIndex;
+    }
+
+    /**
+     * Gets the exchange a player still has to complete, if any
+     * @param {number} playerIndex - The player index
+     * @returns {Object|undefined} - The pending exchange
+     */
+    getPendingExchange(playerIndex) {
+        return this.exchanges.find(e => e.toIndex === playerIndex && !e.returned);
+    }
+
+    /**
+     * Explains why an exchange would be refused
+     * @param {number} playerIndex - The player index giving cards back
+     * @param {Array} cards - The cards to give
+     * @returns {string|null} - An ACTION_ERRORS code, or null if the exchange is valid
+     */
+    checkExchange(playerIndex, cards) {
+        if (this.gamePhase !== RulesConfig.GAME_PHASES.EXCHANGING) {
+            return 'GAME_NOT_RUNNING';
+        }
+
+        const exchange = this.getPendingExchange(playerIndex);
+        if (!exchange) {
+            return 'NOT_YOUR_TURN';
+        }
+        if (!Array.isArray(cards) || cards.length !== exchange.count) {
+            return 'WRONG_COUNT';
+        }
+        if (!findCardIndexes(this.players[playerIndex].hand, cards)) {
+            return 'NOT_IN_HAND';
+        }
+        return null;
+    }
+
+    /**
+     * Hands the chosen cards back to the lower title during the exchange phase
+     * @param {number} playerIndex - The player index giving cards back
+     * @param {Array} cards - The cards to give
+     * @returns {boolean} - True if the exchange was accepted
+     */
+    exchangeCards(playerIndex, cards) {
+        if (this.checkExchange(playerIndex, cards) !== null) {
+            return false;
+        }
+
+        const exchange = this.getPendingExchange(playerIndex);
+        const giver = this.players[playerIndex];
+        const indexes = findCardIndexes(giver.hand, cards);
+
+        const receiver = this.players[exchange.fromIndex];
+        this.actionLog.push({ type: 'exchange', playerIndex, cards: indexes.map(index => giver.hand[index]) });
+        indexes
+            .sort((a, b) => b - a)
+            .forEach(index => receiver.hand.push(giver.hand.splice(index, 1)[0]));
+        exchange.returned = true;
+
+        const nextPending = this.exchanges.find(e => !e.returned);
+        if (nextPending) {
+            this.currentPlayerIndex = nextPending.toIndex;
+        } else {
+            // The Cu opens the new hand
+            this.gamePhase = RulesConfig.GAME_PHASES.PLAYING;
+            this.currentPlayerIndex = this.exchanges[0].fromIndex;
+        }
+        return true;
+    }
+
+    // ------------------------------------------------------------------
+    // Playing
+    // ------------------------------------------------------------------
+
+    /**
+     * Gets the current player
+     * @returns {Object} - Current player
+     */
+    getCurrentPlayer() {
+        return this.players[this.currentPlayerIndex];
+    }
+
+    /**
+     * Classifies cards played together: a single, a set of one rank
+     * (jokers standing in) or, where the ruleset allows, a run
+     * @param {Array} cards - The cards
+     * @returns {Object|null} - { type: 'single'|'set'|'run', value, length },
+     *   where value is the set's rank or the run's top rank; null if the
+     *   cards don't make a play
+     */
+    classifyPlay(cards) {
+        if (!Array.isArray(cards) || cards.length === 0) {
+            return null;
+        }
+
+        const value = getPlayValue(cards);
+        if (cards.every(card => isJoker(card) || card.value === value)) {
+            return { type: cards.length === 1 ? 'single' : 'set', value, length: cards.length };
+        }
+
+        if (!this.ruleset.allowRuns || cards.length < RulesConfig.GAME_CONFIG.MIN_RUN_LENGTH) {
+            return null;
+        }
+        const top = getRunTop(cards, this.ruleset.runsSameSuit);
+        return top === null ? null : { type: 'run', value: top, length: cards.length };
+    }
+
+    /**
+     * Checks if multiple cards can be played
+     * @param {Object} player - The player attempting to play
+     * @param {Array} cards - The cards to play
+     * @returns {boolean} - True if the cards can be played
+     */
+    canPlayCards(player, cards) {
+        return this.checkPlay(player, cards) === null;
+    }
+
+    /**
+     * Explains why a play would be refused
+     * @param {Object} player - The player attempting to play
+     * @param {Array} cards - The cards to play
+     * @returns {string|null} - An ACTION_ERRORS code, or null if the play is legal
+     */
+    checkPlay(player, cards) {
+        if (this.gamePhase !== RulesConfig.GAME_PHASES.PLAYING) {
+            return 'GAME_NOT_RUNNING';
+        }
+
+        if (!player || this.players[this.currentPlayerIndex].id !== player.id) {
+            return 'NOT_YOUR_TURN';
+        }
+
+        // A pass sits you out until the trick ends
+        if (this.ruleset.passLocksOut && this.playersWhoSkipped.has(player.index)) {
+            return 'NOT_YOUR_TURN';
+        }
+
+        if (!Array.isArray(cards) || cards.length === 0) {
+            return 'WRONG_COUNT';
+        }
+
+        if (!findCardIndexes(player.hand, cards)) {
+            return 'NOT_IN_HAND';
+        }
+
+        // The cards must make a single, a set or a run
+        const play = this.classifyPlay(cards);
+        if (!play) {
+            return 'MIXED_RANKS';
+        }
+
+        // If no cards have been played yet, any cards can be played
+        if (this.currentHighestCards.length === 0) {
+            return null;
+        }
+
+        // Must answer with the same number of cards and the same kind of play
+        const tablePlay = this.classifyPlay(this.currentHighestCards);
+        if (play.length !== tablePlay.length) {
+            return 'WRONG_COUNT';
+        }
+        if (play.type !== tablePlay.type) {
+            return 'MIXED_RANKS';
+        }
+
+        // Jokers on their own beat anything, even during a revolution
+        if (tablePlay.value === JOKER_VALUE) {
+            return 'TOO_LOW';
+        }
+        if (play.value === JOKER_VALUE) {
+            return null;
+        }
+
+        // The value must rank higher than the current highest cards
+        return compareValues(play.value, tablePlay.value, this.revolution) > 0 ? null : 'TOO_LOW';
+    }
+
+    /**
+     * Attempts to play multiple cards
+     * @param {number} playerIndex - The player index attempting to play
+     * @param {Array} cards - The cards to play
+     * @returns {boolean} - True if the cards were successfully played
+     */
+    playCards(playerIndex, cards) {
+        const player = this.players[playerIndex];
+
+        if (!this.canPlayCards(player, cards)) {
+            return false;
+        }
+
+        // Validate player holds every card, each only once
+        const indexes = findCardIndexes(player.hand, cards);
+        if (!indexes) {
+            return false;
+        }
+
+        // Remove cards from player's hand, keeping the order they were given in
+        const playedCards = indexes.map(index => player.hand[index]);
+        const play = this.classifyPlay(playedCards);
+        const isTwos = play.type !== 'run' && play.value === TWO_VALUE;
+        player.hand = player.hand.filter((card, index) => !indexes.includes(index));
+        this.actionLog.push({ type: 'play', playerIndex, cards: [...playedCards] });
+
+        // Update game state
+        this.currentHighestCards = [...playedCards];
+        this.currentHighestCard = playedCards[0]; // For backward compatibility
+        this.centerCards = [...playedCards];
+        this.lastPlayedCards = [...playedCards];
+        this.roundLeader = playerIndex; // This player now leads the trick
+        this.roundWinner = player.id;
+        this.consecutiveSkips = 0;
+        if (this.ruleset.revolution && play.type === 'set' && play.length >= 4) {
+            this.revolution = !this.revolution;
+        }
+        if (!this.ruleset.passLocksOut) {
+            this.playersWhoSkipped.clear(); // Everyone gets to answer the new play
+        }
+
+        // Handle player finishing their hand
+        if (player.hand.length === 0) {
+            // Going out on 2s may be a foul that costs the player their place
+            const foul = !this.ruleset.allowFinishOnTwo && isTwos;
+            this.handlePlayerFinished(player, foul);
+            if (this.gamePhase === RulesConfig.GAME_PHASES.GAME_OVER) {
+                return true;
+            }
+        }
+
+        // Nobody can answer a 2 (or everyone else is sitting out)
+        const clearsTable = this.ruleset.twosClearTable && isTwos;
+        if (clearsTable || this.isTrickOver()) {
+            this.endRound();
+            return true;
+        }
+
+        this.nextTurn();
+        return true;
+    }
+
+    /**
+     * Handles when a player finishes their hand
+     * @param {Object} player - The player who finished
+     * @param {boolean} [foul] - Went out on a forbidden 2: takes the
+     *   lowest place still open instead of the next one up
+     */
+    handlePlayerFinished(player, foul = false) {
+        this.finishedPlayers++;
+        if (foul) {
+            this.foulFinishes++;
+            this.recordFinish(player, this.players.length - this.foulFinishes + 1);
+        } else {
+            this.recordFinish(player, this.finishedPlayers - this.foulFinishes);
+        }
+
+        // Once a single player is left holding cards, their place is decided
+        const activePlayers = this.players.filter(p => p.finishPosition === null);
+        if (activePlayers.length <= 1) {
+            if (activePlayers[0]) {
+                this.finishedPlayers++;
+                this.recordFinish(activePlayers[0], this.finishedPlayers - this.foulFinishes);
+            }
+            this.gamePhase = RulesConfig.GAME_PHASES.GAME_OVER;
+        }
+    }
+
+    /**
+     * Gives a player their finish position and title
+     * @param {Object} player - The player who finished
+     * @param {number} position - Finish position (1 = Presidente)
+     */
+    recordFinish(player, position) {
+        player.finishPosition = position;
+        this.actionLog.push({ type: 'finish', playerIndex: player.index, position });
+
+        if (position === 1) {
+            this.gameWinner = player; // Presidente
+            player.isWinner = true;
+        } else if (position === this.players.length) {
+            this.gameLoser = player; // Cu (last)
+        } else if (position === 2) {
+            this.gameSecond = player; // Vice from four players up
+        } else if (position === 3) {
+            this.gameThird = player; // Sobre at a four-player table
+        }
+    }
+
+    /**
+     * Passes the current player's turn. The trick ends once every other
+     * player still in the hand has passed since the last play (or, when
+     * passing locks you out, since the trick started).
+     * @returns {boolean} - True if the pass was accepted
+     */
+    skipTurn() {
+        if (this.gamePhase !== RulesConfig.GAME_PHASES.PLAYING) {
+            return false;
+        }
+
+        this.consecutiveSkips++;
+        this.actionLog.push({ type: 'pass', playerIndex: this.currentPlayerIndex });
+
+        // Nothing on the table: passing just hands the lead on
+        if (this.roundLeader === null) {
+            this.nextTurn();
+            return true;
+        }
+
+        this.playersWhoSkipped.add(this.currentPlayerIndex);
+        if (this.isTrickOver()) {
+            this.endRound();
+        } else {
+            this.nextTurn();
+        }
+        return true;
+    }
+
+    /**
+     * Checks if every player who could still answer the table has passed
+     * @returns {boolean}
+     */
+    isTrickOver() {
+        if (this.roundLeader === null) return false;
+
+        return this.players
+            .filter((p, index) => p.finishPosition === null && index !== this.roundLeader)
+            .every(p => this.playersWhoSkipped.has(p.index));
+    }
+
+    /**
+     * Ends the current trick: the table is cleared, passes (and lock-outs)
+     * are forgotten and the player who made the last play leads the next
+     * one (or the next player still in the hand, if they went out with it)
+     */
+    endRound() {
+        const leaderIndex = this.roundLeader;
+
+        this.centerCards = [];
+        this.lastPlayedCards = [];
+        this.currentHighestCard = null;
+        this.currentHighestCards = [];
+        this.playersWhoSkipped.clear();
+        this.consecutiveSkips = 0;
+        this.currentRound = 0;
+        this.roundLeader = null;
+
+        if (leaderIndex === null) return;
+
+        this.currentPlayerIndex = this.players[leaderIndex].finishPosition === null
+            ? leaderIndex
+            : this.getNextActiveIndex(leaderIndex);
+        this.actionLog.push({ type: 'trickCleared', leaderIndex: this.currentPlayerIndex });
+    }
+
+    /**
+     * Advances to the next player still holding cards (and, when passing
+     * locks you out, still allowed to play in this trick)
+     */
+    nextTurn() {
+        const lockedOut = this.ruleset.passLocksOut ? this.playersWhoSkipped : new Set();
+        this.currentPlayerIndex = this.getNextActiveIndex(this.currentPlayerIndex, lockedOut);
+        this.currentRound++;
+    }
+
+    /**
+     * Gets the next seat, clockwise, whose player is still in the hand
+     * @param {number} fromIndex - Seat to start from (excluded)
+     * @param {Set<number>} [excluded] - Seats to pass over as well
+     * @returns {number} - The next active seat index
+     */
+    getNextActiveIndex(fromIndex, excluded = new Set()) {
+        for (let step = 1; step <= this.players.length; step++) {
+            const index = (fromIndex + step) % this.players.length;
+            if (this.players[index].finishPosition === null && !excluded.has(index)) {
+                return index;
+            }
+        }
+        return fromIndex;
+    }
+
+    // ------------------------------------------------------------------
+    // Results
+    // ------------------------------------------------------------------
+
+    /**
+     * Checks if the hand is over (every position decided)
+     * @returns {boolean}
+     */
+    isGameOver() {
+        return this.gamePhase === RulesConfig.GAME_PHASES.GAME_OVER;
+    }
+
+    /**
+     * Checks if someone has gone out while the hand continues
+     * @returns {boolean}
+     */
+    hasWinner() {
+        return this.finishedPlayers > 0 && !this.isGameOver();
+    }
+
+    /**
+     * Gets the hand winner (Presidente)
+     * @returns {Object|null}
+     */
+    getGameWinner() {
+        return this.gameWinner;
+    }
+
+    /**
+     * Gets the players sorted by finish position
+     * @returns {Array<Object>}
+     */
+    getPlayerRanking() {
+        return this.players
+            .filter(p => p.finishPosition !== null)
+            .sort((a, b) => a.finishPosition - b.finishPosition);
+    }
+
+    /**
+     * Picks the weakest card in a player's hand in the rank order in force.
+     * Jokers count as the strongest cards, even during a revolution.
+     * @param {number} playerIndex - The player index
+     * @returns {Object|null} - The card, or null if the hand is empty
+     */
+    getWeakestCard(playerIndex) {
+        const player = this.players[playerIndex];
+        if (!player || player.hand.length === 0) return null;
+
+        return player.hand.reduce((weakest, card) => {
+            if (isJoker(card)) return weakest;
+            if (isJoker(weakest)) return card;
+            return compareValues(card.value, weakest.value, this.revolution) < 0 ? card : weakest;
+        });
+    }
+
+    /**
+     * Gets the player ids ordered by finish position
+     * @returns {Array} - Player ids, Presidente first
+     */
+    getStandings() {
+        return this.getPlayerRanking().map(p => p.id);
+    }
+
+    getState() {
+        const summarize = player => player ? {
+            id: player.id,
+            name: player.name,
+            index: player.index
+        } : null;
+
+        return {
+            players: this.players.map(p => ({
+                id: p.id,
+                name: p.name,
+                index: p.index,
+                handCount: p.hand.length,
+                isWinner: p.isWinner,
+                finishPosition: p.finishPosition
+            })),
+            currentPlayerIndex: this.currentPlayerIndex,
+            currentRound: this.currentRound,
+            centerCards: this.centerCards,
+            lastPlayedCards: this.lastPlayedCards,
+            currentHighestCard: this.currentHighestCard,
+            currentHighestCards: this.currentHighestCards,
+            roundWinner: this.roundWinner,
+            roundLeader: this.roundLeader,
+            gamePhase: this.gamePhase,
+            revolution: this.revolution,
+            jokers: this.jokers,
+            currentPlay: this.classifyPlay(this.currentHighestCards),
+            turnDeadline: this.turnDeadline,
+            ruleset: { id: this.ruleset.id, name: this.ruleset.name },
+            exchanges: this.exchanges.map(e => ({ ...e })),
+            gameWinner: summarize(this.gameWinner),
+            gameSecond: summarize(this.gameSecond),
+            gameThird: summarize(this.gameThird),
+            gameLoser: summarize(this.gameLoser)
+        };
+    }
+
+    getPlayerHand(playerId) {
+        const player = this.players.find(p => p.id === playerId);
+        return player ? player.hand : [];
+    }
+
+    /**
+     * Exports the hand as a replay file: the seats and rules, then the
+     * action log from the deal on. Logged actions are:
+     * - deal { hands, openingPlayerIndex, previousStandings }
+     * - exchange { playerIndex, cards } (cards handed back)
+     * - play { playerIndex, cards }
+     * - pass { playerIndex }
+     * - finish { playerIndex, position }
+     * - trickCleared { leaderIndex } (who leads next)
+     * Finishes and cleared tricks follow from the plays and passes;
+     * replayGame() checks that they come out the same.
+     * @returns {Object} - { format, version, ruleset, jokers, players, actions, standings }
+     */
+    getReplay() {
+        return {
+            format: REPLAY_FORMAT,
+            version: REPLAY_VERSION,
+            ruleset: this.ruleset.id,
+            jokers: this.jokers,
+            players: this.players.map(p => ({ id: p.id, name: p.name })),
+            actions: JSON.parse(JSON.stringify(this.actionLog)),
+            standings: this.gamePhase === RulesConfig.GAME_PHASES.GAME_OVER ? this.getStandings() : null
+        };
+    }
+
+    /**
+     * Everything needed to rebuild this hand exactly, as plain data – hands
+     * included, so this is for saving on the server, never for clients (see
+     * getState()). Titled players are stored by seat.
+     * @returns {Object}
+     */
+    toJSON() {
+        const seatOf = player => (player ? player.index : null);
+        return {
+            ...this,
+            ruleset: this.ruleset.id,
+            playersWhoSkipped: [...this.playersWhoSkipped],
+            gameWinner: seatOf(this.gameWinner),
+            gameSecond: seatOf(this.gameSecond),
+            gameThird: seatOf(this.gameThird),
+            gameLoser: seatOf(this.gameLoser)
+        };
+    }
+
+    /**
+     * Rebuilds a hand saved with toJSON()
+     * @param {Object} data - The saved hand
+     * @returns {GameState}
+     */
+    static fromJSON(data) {
+        const gameState = new this([], { ruleset: data.ruleset, jokers: data.jokers });
+        const toCards = cards => cards.map(card => new Card(card.suit, card.rank, card.value));
+        const players = data.players.map(p => ({ ...p, hand: toCards(p.hand) }));
+        const atSeat = index => (index === null ? null : players[index]);
+
+        Object.assign(gameState, data, {
+            ruleset: gameState.ruleset,
+            players,
+            centerCards: toCards(data.centerCards),
+            lastPlayedCards: toCards(data.lastPlayedCards),
+            currentHighestCards: toCards(data.currentHighestCards),
+            currentHighestCard: data.currentHighestCard && toCards([data.currentHighestCard])[0],
+            playersWhoSkipped: new Set(data.playersWhoSkipped),
+            gameWinner: atSeat(data.gameWinner),
+            gameSecond: atSeat(data.gameSecond),
+            gameThird: atSeat(data.gameThird),
+            gameLoser: atSeat(data.gameLoser)
+        });
+        return gameState;
+    }
+}
+
+/**
+ * Plays a recorded hand back through the rules engine
+ * @param {Object} replay - A replay file (see GameState.getReplay())
+ * @param {number} [steps] - Stop after this many logged actions, the deal
+ *   being the first (a play's own finish and cleared trick come with it)
+ * @returns {GameState} - The hand as it stood at that point
+ * @throws {Error} - If the file isn't a replay this version can read, or
+ *   the rules don't produce the recorded actions
+ */
+function replayGame(replay, steps = Infinity) {
+    if (!replay || replay.format !== REPLAY_FORMAT || replay.version !== REPLAY_VERSION) {
+        throw new Error(`Not a ${REPLAY_FORMAT} file, version ${REPLAY_VERSION}`);
+    }
+
+    const [deal, ...actions] = replay.actions;
+    const gameState = new GameState(replay.players, {
+        ruleset: replay.ruleset,
+        jokers: replay.jokers,
+        hands: deal.hands,
+        openingPlayerIndex: deal.openingPlayerIndex,
+        previousStandings: deal.previousStandings || undefined
+    });
+
+    actions.slice(0, Math.max(steps - 1, 0)).forEach((action, index) => {
+        // Finishes and cleared tricks are produced by the plays and passes
+        if (gameState.actionLog.length > index + 1) return;
+
+        let applied = false;
+        if (action.type === 'play') {
+            applied = gameState.playCards(action.playerIndex, action.cards);
+        } else if (action.type === 'pass') {
+            applied = gameState.currentPlayerIndex === action.playerIndex && gameState.skipTurn();
+        } else if (action.type === 'exchange') {
+            applied = gameState.exchangeCards(action.playerIndex, action.cards);
+        }
+        if (!applied) {
+            throw new Error(`Replay action ${index + 1} (${action.type}) was refused by the rules`);
+        }
+    });
+
+    // Every action the rules produced must match the recording
+    const produced = JSON.stringify(gameState.actionLog);
+    const recorded = JSON.stringify(replay.actions.slice(0, gameState.actionLog.length));
+    if (produced !== recorded) {
+        throw new Error('Replay does not match the rules: the recorded actions differ');
+    }
+    return gameState;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js/CommonJS
+    module.exports = {
+        Card,
+        GameState,
+        createDeck,
+        shuffle,
+        isSameCard,
+        isJoker,
+        getPlayValue,
+        findCardIndexes,
+        getTitle,
+        compareValues,
+        replayGame,
+        REPLAY_VERSION
+    };
+} else {
+    // Browser/global
+    window.PresidenteRules = {
+        Card,
+        GameState,
+        createDeck,
+        shuffle,
+        isSameCard,
+        isJoker,
+        getPlayValue,
+        findCardIndexes,
+        getTitle,
+        compareValues,
+        replayGame,
+        REPLAY_VERSION
+    };
+}
@@ -0,0 +1,88 @@
+/**
+ * Ruleset Registry
+ *
+ * Named house-rule presets, chosen when a room or local game is created
+ * and consulted by the rules engine (rules.js). Shared between the client
+ * and the server.
+ *
+ * Ruleset fields:
+ * - twosClearTable:   playing a 2 ends the trick at once; the same player leads again
+ * - passLocksOut:     a player who passes can't play again until the trick ends
+ * - openingCard:      holder of this card leads the first hand (null = random seat)
+ * - allowFinishOnTwo: whether a player may go out with a play of 2s; if not,
+ *                     doing so is a foul and they take the lowest place left
+ * - revolution:       four of a kind inverts the rank order (3 high, 2 low)
+ *                     until the next revolution or the end of the hand
+ * - allowRuns:        runs of three or more consecutive ranks are a legal play,
+ *                     beaten only by a higher run of the same length
+ * - runsSameSuit:     every card in a run must share one suit
+ */
+
+const RULESETS = {
+    presidente: {
+        id: 'presidente',
+        name: 'Brazilian Presidente',
+        description: 'Beat the table or pass; passing keeps you in the trick.',
+        twosClearTable: false,
+        passLocksOut: false,
+        openingCard: null,
+        allowFinishOnTwo: true,
+        revolution: false,
+        allowRuns: false,
+        runsSameSuit: false
+    },
+    daifugo: {
+        id: 'daifugo',
+        name: 'Japanese Daifugō',
+        description: 'The 3 of diamonds opens, a pass sits you out of the trick, going out on a 2 is a foul, four of a kind starts a revolution and same-suit runs are allowed.',
+        twosClearTable: false,
+        passLocksOut: true,
+        openingCard: { suit: 'diamonds', rank: '3' },
+        allowFinishOnTwo: false,
+        revolution: true,
+        allowRuns: true,
+        runsSameSuit: true
+    },
+    scum: {
+        id: 'scum',
+        name: 'US "Scum"',
+        description: 'The 3 of clubs opens, any 2 clears the table and runs of any suits are allowed.',
+        twosClearTable: true,
+        passLocksOut: false,
+        openingCard: { suit: 'clubs', rank: '3' },
+        allowFinishOnTwo: true,
+        revolution: false,
+        allowRuns: true,
+        runsSameSuit: false
+    }
+};
+
+const DEFAULT_RULESET = 'presidente';
+
+/**
+ * Looks up a ruleset by id, falling back to the default preset
+ * @param {string} [id] - Ruleset id
+ * @returns {Object} - The ruleset
+ */
+function getRuleset(id) {
+    return Object.prototype.hasOwnProperty.call(RULESETS, id)
+        ? RULESETS[id]
+        : RULESETS[DEFAULT_RULESET];
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js/CommonJS
+    module.exports = {
+        RULESETS,
+        DEFAULT_RULESET,
+        getRuleset
+    };
+} else {
+    // Browser/global
+    window.PresidenteRulesets = {
+        RULESETS,
+        DEFAULT_RULESET,
+        getRuleset
+    };
+}
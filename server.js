@@ -1,4 +1,6 @@
 // server.js – minimal Express + Socket.IO backend for Presidente
+const crypto = require('crypto');
+const fs = require('fs');
 const express = require('express');
 const { createServer } = require('http');
 const { Server } = require('socket.io');
@@ -28,551 +30,1350 @@ app.get('/', (req, res) => {
   res.sendFile(path.join(publicPath, 'index.html'));
 });
 
+// Invite links: the setup page picks the code up and joins the private room
+app.get('/room/:code', (req, res) => {
+  res.redirect(`/setup.html?invite=${encodeURIComponent(req.params.code)}`);
+});
+
 /* ------------------------
    Socket.IO real-time logic
    ------------------------ */
-const MAX_PLAYERS = 4;
-const rooms = {}; // roomId -> { players: [], gameState: null }
-
-// Game state management
-class GameState {
-  constructor(players) {
-    this.players = players.map((p, index) => ({
-      id: p.id,
-      name: p.name,
-      index: index,
-      hand: [],
-      isWinner: false,
-      finishPosition: null
-    }));
-    this.deck = this.createDeck();
-    this.dealCards();
-    this.currentPlayerIndex = Math.floor(Math.random() * players.length);
-    this.currentRound = 0;
-    this.centerCards = [];
-    this.lastPlayedCards = [];
-    this.currentHighestCard = null; // For backward compatibility
-    this.currentHighestCards = []; // Cards currently on the table
-    this.roundWinner = null;
-    this.roundLeader = null; // Player who played the current highest cards
-    this.playersWhoSkipped = new Set(); // Track who has skipped this round
-    this.consecutiveSkips = 0;
-    this.finishedPlayers = 0;
-    this.gamePhase = 'playing'; // waiting, playing, roundEnd, gameOver
-    this.gameWinner = null;
-    this.gameSecond = null;
-    this.gameThird = null;
-    this.gameLoser = null;
-  }
+const { GAME_CONFIG, GAME_PHASES, ACTION_ERRORS } = require('./public/js/shared/game-config');
+const { GameState, getTitle, findCardIndexes } = require('./public/js/shared/rules');
+const { getRuleset } = require('./public/js/shared/rulesets');
+const { chooseBotPlay, chooseBotExchange } = require('./public/js/shared/bot');
+const { InMemoryRoomStore } = require('./src/server/room-store');
+const { RoomManager, canEnterRoom } = require('./src/server/room-manager');
+const { CREATE_ROOM_SCHEMA, validatePayload, validatePacket } = require('./src/server/socket-schemas');
 
-  createDeck() {
-    const suits = ['hearts', 'diamonds', 'clubs', 'spades'];
-    const values = [3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15]; // 11=J, 12=Q, 13=K, 14=A, 15=2
-    const deck = [];
-    suits.forEach(suit => {
-      values.forEach(value => {
-        deck.push({ suit, value });
-      });
-    });
-    return this.shuffle(deck);
-  }
+// Every room, by id, as plain data (see RoomManager.createRoom for what a
+// room holds). Rooms are only reached through the store, so another
+// implementation can be swapped in: set ROOM_STORE to a module exporting a
+// RoomStore class (see room-store.js). Joining, hosting and leaving rooms go
+// through the room manager.
+const RoomStore = process.env.ROOM_STORE ? require(path.resolve(process.env.ROOM_STORE)).RoomStore : InMemoryRoomStore;
+const roomStore = new RoomStore();
+const rooms = new RoomManager(roomStore);
+// What can't be stored, by room id: the running Match and its current hand
+// (copied into the store as plain data after every change) and the room's
+// timers (see getLiveRoom)
+const liveRooms = new Map();
+const RECENT_ACTIONS_KEPT = 100; // Per room, for spotting repeated action ids
+const LOBBY_CHAT = 'lobby:chat'; // Socket.IO room of everyone chatting on the setup page
+const ROOM_CHANNEL = 'room:'; // Prefix of a room's Socket.IO room, so no room name clashes with other channels
+let lobbyChatHistory = []; // Latest lobby chat messages, oldest first
+const matchResults = new Map(); // match id -> result of a finished match (see recordMatchResult)
+const MATCH_RESULTS_KEPT = 500; // Oldest results are dropped past this
+// Rooms are saved here after every change and restored on boot
+const DATA_FILE = process.env.DATA_FILE || path.join(__dirname, 'data', 'rooms.json');
+const SAVE_VERSION = 1; // Bump whenever the save file's layout changes (see restoreRooms)
+// Finished matches (one JSON line each, oldest first) and the replay of every
+// finished hand (one file per match, one line per hand) sit next to it. They
+// are written once, when a match or hand ends, not with every room change.
+const RESULTS_FILE = path.join(path.dirname(DATA_FILE), 'results.jsonl');
+const REPLAYS_DIR = path.join(path.dirname(DATA_FILE), 'replays');
+let saveScheduled = false;
+let saveInProgress = null; // The write under way, if any
 
-  shuffle(deck) {
-    for (let i = deck.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [deck[i], deck[j]] = [deck[j], deck[i]];
-    }
-    return deck;
+// A match is a series of hands played by the same table. Titles from one
+// hand feed the card exchange of the next, and finish positions add up
+// into a running score.
+class Match {
+  /**
+   * @param {Array} players - Seated players ({ id, name })
+   * @param {Object} [settings]
+   * @param {number} [settings.maxHands] - Hands to play before the match ends
+   * @param {number} [settings.targetScore] - Score that ends the match early
+   * @param {string} [settings.ruleset] - Ruleset id used for every hand
+   * @param {boolean} [settings.jokers] - Deal a 54-card deck with two jokers
+   */
+  constructor(players, settings = {}) {
+    this.id = crypto.randomUUID(); // Names the match's result in the HTTP API
+    this.players = players.map(p => ({ id: p.id, name: p.name }));
+    this.ruleset = getRuleset(settings.ruleset).id;
+    this.jokers = settings.jokers === true;
+    this.maxHands = settings.maxHands || GAME_CONFIG.MATCH.MAX_HANDS;
+    this.targetScore = settings.targetScore || GAME_CONFIG.MATCH.TARGET_SCORE;
+    this.scores = {};
+    this.players.forEach(p => { this.scores[p.id] = 0; });
+    this.results = []; // One entry per finished hand: player ids, Presidente first
+    this.handNumber = 0;
+    this.currentHand = null;
+    this.status = 'playing'; // playing, finished
   }
 
-  dealCards() {
-    this.players.forEach(player => {
-      player.hand = this.deck.splice(0, 13);
-    });
+  /**
+   * Deals the next hand, seeding the exchange with the last hand's titles
+   * @returns {GameState} - The new hand
+   */
+  startHand() {
+    const previousStandings = this.results[this.results.length - 1];
+    this.handNumber++;
+    this.currentHand = new GameState(this.players, { ruleset: this.ruleset, jokers: this.jokers, previousStandings });
+    return this.currentHand;
   }
 
   /**
-   * Checks if multiple cards can be played
-   * @param {Object} player - The player attempting to play
-   * @param {Array} cards - The cards to play
-   * @returns {boolean} - True if the cards can be played
+   * Scores the current hand once it is over
+   * @returns {boolean} - True if the hand was recorded
    */
-  canPlayCards(player, cards) {
-    if (this.players[this.currentPlayerIndex].id !== player.id) {
-      return false;
-    }
+  recordHand() {
+    if (!this.currentHand || this.currentHand.gamePhase !== GAME_PHASES.GAME_OVER) return false;
+    if (this.results.length >= this.handNumber) return false; // Already recorded
 
-    if (!cards || cards.length === 0) {
-      return false;
-    }
+    const standings = this.currentHand.getStandings();
+    standings.forEach((id, index) => {
+      this.scores[id] += this.players.length - (index + 1);
+    });
+    this.results.push(standings);
 
-    // All cards must have the same value
-    const firstCardValue = cards[0].value;
-    if (!cards.every(card => card.value === firstCardValue)) {
-      return false;
+    const topScore = Math.max(...Object.values(this.scores));
+    if (this.results.length >= this.maxHands || topScore >= this.targetScore) {
+      this.status = 'finished';
     }
+    console.log(`Hand ${this.results.length} recorded, scores:`, this.scores);
+    return true;
+  }
 
-    // If no cards have been played yet, any cards can be played
-    if (!this.currentHighestCards || this.currentHighestCards.length === 0) {
-      return true;
-    }
+  isOver() {
+    return this.status === 'finished';
+  }
 
-    // Must play the same number of cards as the current highest
-    if (cards.length !== this.currentHighestCards.length) {
-      return false;
-    }
+  /**
+   * Gets a player's title from the last finished hand
+   * @param {string} playerId - The player id
+   * @returns {string|null} - Presidente, Vice, Sobre, Cu or null
+   */
+  getTitle(playerId) {
+    const standings = this.results[this.results.length - 1];
+    if (!standings) return null;
+
+    return getTitle(standings.indexOf(playerId) + 1, standings.length);
+  }
+
+  getState() {
+    const lastStandings = this.results[this.results.length - 1] || [];
+    const standings = this.players
+      .map(p => ({
+        id: p.id,
+        name: p.name,
+        score: this.scores[p.id],
+        lastPosition: lastStandings.indexOf(p.id) + 1 || null,
+        title: this.getTitle(p.id)
+      }))
+      .sort((a, b) => b.score - a.score || (a.lastPosition || Infinity) - (b.lastPosition || Infinity));
 
-    // The value must be higher than the current highest cards
-    const currentHighestValue = this.currentHighestCards[0].value;
-    return firstCardValue > currentHighestValue;
+    return {
+      id: this.id,
+      handNumber: this.handNumber,
+      handsPlayed: this.results.length,
+      maxHands: this.maxHands,
+      targetScore: this.targetScore,
+      status: this.status,
+      standings,
+      winner: this.isOver() ? standings[0] : null
+    };
   }
 
   /**
-   * Attempts to play multiple cards
-   * @param {number} playerIndex - The player index attempting to play
-   * @param {Array} cards - The cards to play
-   * @returns {boolean} - True if the cards were successfully played
+   * Rebuilds a match saved as JSON, including the hand in progress
+   * @param {Object} data - The saved match
+   * @returns {Match}
    */
-  playCards(playerIndex, cards) {
-    const player = this.players[playerIndex];
-    
-    if (!this.canPlayCards(player, cards)) {
-      console.log('Invalid play: canPlayCards returned false');
-      return false;
-    }
+  static fromJSON(data) {
+    const match = Object.assign(new Match([]), data);
+    match.currentHand = data.currentHand && GameState.fromJSON(data.currentHand);
+    return match;
+  }
+}
 
-    // Validate player has these cards
-    for (const card of cards) {
-      const hasCard = player.hand.find(c => c.suit === card.suit && c.value === card.value);
-      if (!hasCard) {
-        console.log(`Invalid play: player doesn't have card ${card.value} of ${card.suit}`);
-        return false;
-      }
+// Helper: save every room once the current burst of changes is done (many
+// changes in one tick make one write). Runs whenever the room store reports
+// a change, so read-only events never write. Writes don't block the event
+// loop and never overlap, and the file is replaced atomically, so a crash
+// mid-write leaves the previous save intact.
+function scheduleSave() {
+  if (saveScheduled) return;
+  saveScheduled = true;
+  setImmediate(async () => {
+    await saveInProgress;
+    saveScheduled = false;
+    const data = { version: SAVE_VERSION, rooms: {} };
+    saveInProgress = roomStore.list()
+      .then(list => list.forEach(([roomId, room]) => { data.rooms[roomId] = serializeRoom(room); }))
+      .then(() => fs.promises.mkdir(path.dirname(DATA_FILE), { recursive: true }))
+      .then(() => fs.promises.writeFile(`${DATA_FILE}.tmp`, JSON.stringify(data)))
+      .then(() => fs.promises.rename(`${DATA_FILE}.tmp`, DATA_FILE))
+      .catch(error => console.error('Error saving rooms:', error));
+  });
+}
+
+// Helper: the file holding a match's replays
+function getReplayFile(matchId) {
+  return path.join(REPLAYS_DIR, `${matchId}.jsonl`);
+}
+
+// Helper: keep a finished hand's replay (hands numbered from 1), after the
+// match's earlier ones
+function saveReplay(matchId, hand, replay) {
+  fs.promises.mkdir(REPLAYS_DIR, { recursive: true })
+    .then(() => fs.promises.appendFile(getReplayFile(matchId), `${JSON.stringify({ ...replay, hand })}\n`))
+    .catch(error => console.error('Error saving replay:', error));
+}
+
+// Helper: every replay kept for a match, first hand first. A line that
+// doesn't parse (cut short by a crash) is skipped; the others still load.
+async function readReplays(matchId) {
+  let text;
+  try {
+    text = await fs.promises.readFile(getReplayFile(matchId), 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error('Error reading replays:', error);
+    return [];
+  }
+  return parseJSONLines(text, `replays of match ${matchId}`);
+}
+
+// Helper: the values of a file holding one JSON value per line. Lines that
+// don't parse are logged and left out.
+function parseJSONLines(text, what) {
+  const values = [];
+  text.split('\n').filter(Boolean).forEach((line, index) => {
+    try {
+      values.push(JSON.parse(line));
+    } catch (error) {
+      console.error(`Skipping unreadable line ${index + 1} of the ${what}: ${error.message}`);
     }
+  });
+  return values;
+}
+
+// Helper: forget a match's replays (its result is gone, or it never got one)
+function discardReplays(matchId) {
+  fs.promises.unlink(getReplayFile(matchId)).catch(error => {
+    if (error.code !== 'ENOENT') console.error('Error removing replays:', error);
+  });
+}
+
+// Helper: drop the replays of a room's match if it is going away unfinished
+function discardUnfinishedMatch(roomId) {
+  const { match } = getLiveRoom(roomId);
+  if (match && !matchResults.has(match.id)) discardReplays(match.id);
+}
+
+// Helper: bring back the latest finished matches. Older results are dropped
+// from the file, with their replays, and so are lines that don't parse (a
+// crash in the middle of writing one).
+function loadMatchResults() {
+  let text;
+  try {
+    text = fs.readFileSync(RESULTS_FILE, 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error('Error reading match results:', error);
+    return;
+  }
+
+  const results = parseJSONLines(text, 'match results');
+  const kept = results.slice(-MATCH_RESULTS_KEPT);
+  kept.forEach(result => matchResults.set(result.id, result));
+  results.slice(0, -MATCH_RESULTS_KEPT).forEach(result => discardReplays(result.id));
+  const keptText = kept.map(result => `${JSON.stringify(result)}\n`).join('');
+  if (keptText !== text) fs.writeFileSync(RESULTS_FILE, keptText);
+}
+
+// Helper: a room for the save file. Sockets and spectators don't survive a
+// restart, so they are left out; the hand in progress is saved as part of
+// the match.
+function serializeRoom(room) {
+  const { spectators, ...saved } = room;
+  return {
+    ...saved,
+    players: room.players.map(({ socketId, ...player }) => player)
+  };
+}
+
+// Helper: the running match, its current hand and the timers of a room,
+// none of which can go into the room store:
+// - match, gameState: the Match and its current hand (match.currentHand)
+// - turnTimer: auto-acts for the current player at gameState.turnDeadline
+// - botTimer: the pending move of the bot whose turn it is
+// - emptyTimer: closes a room nobody joins (see scheduleEmptyRoomExpiry)
+// - graceTimers: player id -> gives up a disconnected player's seat
+function getLiveRoom(roomId) {
+  if (!liveRooms.has(roomId)) {
+    liveRooms.set(roomId, { match: null, gameState: null, turnTimer: null, botTimer: null, emptyTimer: null, graceTimers: new Map() });
+  }
+  return liveRooms.get(roomId);
+}
+
+// Helper: stop a closed room's timers and forget its match
+function dropLiveRoom(roomId) {
+  const live = liveRooms.get(roomId);
+  if (!live) return;
+  [live.turnTimer, live.botTimer, live.emptyTimer, ...live.graceTimers.values()].forEach(clearTimeout);
+  liveRooms.delete(roomId);
+}
+
+// Helper: copy the room's match (with the hand in progress) into the store
+// as plain data, along with any other changes. Returns the updated room.
+function storeMatch(roomId, changes = {}) {
+  const { match } = getLiveRoom(roomId);
+  return roomStore.update(roomId, { ...changes, match: match && JSON.parse(JSON.stringify(match)) });
+}
+
+// Helper: a failure of an async handler or timer is logged; left as an
+// unhandled rejection it would take the whole server down
+function logFailure(what) {
+  return error => console.error(`Error in ${what}:`, error);
+}
+
+// Helper: setTimeout for the async helpers below
+function runLater(task, delay) {
+  return setTimeout(() => task().catch(logFailure('timer')), delay);
+}
+
+// Helper: keep a disconnected player's seat for RECONNECT_GRACE_PERIOD
+function holdSeat(roomId, playerId) {
+  const timer = runLater(() => releaseSeat(roomId, playerId), GAME_CONFIG.RECONNECT_GRACE_PERIOD);
+  getLiveRoom(roomId).graceTimers.set(playerId, timer);
+}
+
+// Helper: bring back the rooms saved before a restart. Every human starts
+// disconnected with a fresh grace period: their session token takes their
+// seat back exactly where they left it. Timers are started again.
+async function restoreRooms() {
+  loadMatchResults();
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error('Error reading saved rooms:', error);
+    return;
+  }
+
+  if (data.version !== SAVE_VERSION) {
+    console.error(`Not restoring ${DATA_FILE}: save version ${data.version}, expected ${SAVE_VERSION}`);
+    return;
+  }
+
+  for (const [roomId, saved] of Object.entries(data.rooms)) {
+    const room = await roomStore.create(roomId, {
+      ...saved,
+      players: saved.players.map(player => ({ ...player, socketId: null, connected: player.isBot })),
+      spectators: []
+    });
+    const live = getLiveRoom(roomId);
+    live.match = saved.match && Match.fromJSON(saved.match);
+    live.gameState = live.match && live.match.currentHand;
+    room.players.filter(p => !p.isBot).forEach(player => holdSeat(roomId, player.id));
+    if (room.players.length === 0) scheduleEmptyRoomExpiry(roomId);
 
-    // Remove cards from player's hand
-    const playedCards = [];
-    for (const card of cards) {
-      const index = player.hand.findIndex(c => c.suit === card.suit && c.value === card.value);
-      if (index !== -1) {
-        const playedCard = player.hand.splice(index, 1)[0];
-        playedCards.push(playedCard);
+    if (live.gameState && room.status === 'in-progress') {
+      if (live.gameState.gamePhase === GAME_PHASES.GAME_OVER) {
+        scheduleNextHand(roomId); // Saved between two hands
       } else {
-        // If we can't play a card, put back the ones we already removed
-        playedCards.forEach(pc => player.hand.push(pc));
-        return false;
+        await startTurnTimer(roomId);
+        await scheduleBotTurn(roomId);
       }
     }
+  }
+  console.log(`Restored ${Object.keys(data.rooms).length} room(s) from ${DATA_FILE}`);
+}
 
-    // Update game state
-    this.currentHighestCards = [...playedCards];
-    this.currentHighestCard = playedCards[0]; // For backward compatibility
-    this.centerCards = [...playedCards];
-    this.lastPlayedCards = [...playedCards];
-    this.roundLeader = playerIndex; // This player now leads the round
-    this.roundWinner = player.id;
-    this.playersWhoSkipped.clear(); // Reset skip tracking for new round leader
-    this.consecutiveSkips = 0;
-    
-    // Log the play for debugging
-    console.log(`Player ${playerIndex} (${player.name}) played ${playedCards.length} cards of value ${playedCards[0].value}, becoming round leader`);
-    
-    // Handle player finishing their hand
-    if (player.hand.length === 0) {
-      this.handlePlayerFinished(player);
-    }
+// Helper: the lobby list – rooms with free seats, plus live games to watch
+async function getAvailableRooms() {
+  return (await roomStore.list())
+    .filter(([id, room]) =>
+      !room.isPrivate && (room.match
+        ? room.status === 'in-progress' // Live game: open to spectators
+        : room.players.length < room.settings.seats && !room.locked)
+    )
+    .map(([id, room]) => getRoomSummary(id, room));
+}
 
-    this.nextTurn();
-    return true;
+// Helper: how a room shows in lists – the lobby's and the HTTP API's
+function getRoomSummary(roomId, room) {
+  const ruleset = getRuleset(room.settings.ruleset);
+  return {
+    id: roomId,
+    count: room.players.length,
+    seats: room.settings.seats,
+    status: room.match ? 'in-game' : 'waiting',
+    ruleset: { id: ruleset.id, name: ruleset.name },
+    jokers: room.settings.jokers,
+    spectators: room.spectators.length
+  };
+}
+
+// Helper: everything anyone may see about a room – no hands, tokens or
+// password – for GET /api/rooms/:id
+function getPublicRoomState(roomId, room) {
+  const { gameState, match } = getLiveRoom(roomId);
+  return {
+    ...getRoomSummary(roomId, room),
+    roomStatus: room.status,
+    locked: room.locked,
+    hostId: room.hostId,
+    settings: room.settings,
+    players: getPublicPlayers(room),
+    game: gameState ? { ...gameState.getState(), stateVersion: room.stateVersion } : null,
+    match: match ? match.getState() : null
+  };
+}
+
+// Helper: keep the result of a finished match for GET /api/games/:id/result.
+// Only the latest MATCH_RESULTS_KEPT are kept, with their replays.
+function recordMatchResult(roomId, match) {
+  const state = match.getState();
+  const names = {};
+  match.players.forEach(p => { names[p.id] = p.name; });
+  const result = {
+    id: match.id,
+    roomId,
+    ruleset: match.ruleset,
+    jokers: match.jokers,
+    players: match.players,
+    hands: match.results.map(standings => standings.map(id => names[id])), // Finishing order, Presidente first
+    standings: state.standings,
+    winner: state.winner,
+    finishedAt: new Date().toISOString()
+  };
+  matchResults.set(match.id, result);
+  fs.promises.mkdir(path.dirname(RESULTS_FILE), { recursive: true })
+    .then(() => fs.promises.appendFile(RESULTS_FILE, `${JSON.stringify(result)}\n`))
+    .catch(error => console.error('Error saving match result:', error));
+
+  if (matchResults.size > MATCH_RESULTS_KEPT) {
+    const oldest = matchResults.keys().next().value;
+    matchResults.delete(oldest);
+    discardReplays(oldest);
   }
+}
 
-  /**
-   * Handles when a player finishes their hand
-   * @param {Object} player - The player who finished
-   */
-  handlePlayerFinished(player) {
-    this.finishedPlayers++;
-    player.finishPosition = this.finishedPlayers;
-    console.log(`Player ${player.index} (${player.name}) finished in position ${this.finishedPlayers}!`);
-    
-    // Update player positions based on finish order
-    switch (this.finishedPlayers) {
-      case 1:
-        this.gameWinner = player; // Presidente
-        player.isWinner = true;
-        break;
-      case 2:
-        this.gameSecond = player; // Vice
-        break;
-      case 3:
-        this.gameThird = player; // Sobre
-        break;
-      case 4:
-        this.gameLoser = player; // Cu (last)
-        this.gamePhase = 'gameOver';
-        break;
-    }
-    
-    // If all but one player has finished, end the game
-    const activePlayers = this.players.filter(p => p.finishPosition === null);
-    if (activePlayers.length <= 1 && activePlayers[0]) {
-      // Last remaining player automatically finishes last
-      activePlayers[0].finishPosition = this.players.length;
-      this.gameLoser = this.gameLoser || activePlayers[0];
-      this.gamePhase = 'gameOver';
-    }
+// Helper: refuse a game action through its acknowledgement
+function rejectAction(ack, code) {
+  ack({ ok: false, code, message: ACTION_ERRORS[code] });
+}
+
+// Refusals from the room manager that clients have their own event for;
+// the others arrive as a gameError
+const REFUSAL_EVENTS = {
+  ROOM_NOT_FOUND: 'roomNotFound',
+  ROOM_PRIVATE: 'roomPrivate',
+  GAME_IN_PROGRESS: 'gameAlreadyStarted',
+  ROOM_LOCKED: 'roomLocked',
+  ROOM_FULL: 'roomFull'
+};
+
+// Helper: tell a socket why the room manager refused what it asked
+function sendRefusal(socket, { error, message, details }) {
+  const event = REFUSAL_EVENTS[error];
+  if (!event) socket.emit('gameError', { message });
+  else if (details) socket.emit(event, details);
+  else socket.emit(event);
+}
+
+// Helper: listen for a client event. The handler always gets an object to
+// destructure and an acknowledgement it can call, whatever the packet held
+// (validatePacket has already refused anything malformed; this keeps a
+// handler from throwing, which would take the whole server down).
+function onClientEvent(socket, event, handler) {
+  socket.on(event, (payload, ack) => {
+    Promise.resolve(handler(payload || {}, typeof ack === 'function' ? ack : () => {})).catch(logFailure(event));
+  });
+}
+
+// Helper: guard a game action against repeats and stale states. An action id
+// seen before gets its first answer again without acting twice; an action
+// based on an older stateVersion is refused. Resolves to the acknowledgement
+// to answer with (it remembers the answer), or null if the action is done with.
+async function guardAction(roomId, player, { stateVersion, actionId }, ack) {
+  const room = await roomStore.get(roomId);
+  const key = actionId ? `${player.id}:${actionId}` : null;
+  const seen = key && room.recentActions.find(([recentKey]) => recentKey === key);
+  if (seen) {
+    console.log(`Duplicate action ${actionId} from ${player.name} ignored`);
+    ack(seen[1]);
+    return null;
   }
 
-  skipTurn() {
-    const currentPlayer = this.players[this.currentPlayerIndex];
-    console.log(`Player ${this.currentPlayerIndex} (${currentPlayer.name}) skipped their turn`);
-    
-    // Add this player to the skip set
-    this.playersWhoSkipped.add(this.currentPlayerIndex);
-    
-    // Store current player index before moving to next
-    const skippedPlayerIndex = this.currentPlayerIndex;
-    
-    // Move to next turn
-    this.nextTurn();
-    
-    // If no round leader (first play of the round) and everyone skipped, end round
-    if (this.roundLeader === null) {
-      console.log('No round leader and all players skipped - round ends');
-      this.endRound();
-      return;
-    }
-    
-    // Check if we've gone full circle back to the round leader
-    if (this.roundLeader !== null && this.currentPlayerIndex === this.roundLeader) {
-      console.log(`Back to round leader ${this.roundLeader} (${this.players[this.roundLeader].name}) - round ends`);
-      this.endRound();
-      return;
-    }
-    
-    // Check if all other active players have skipped
-    const activePlayers = this.players.filter((p, idx) => 
-      p.finishPosition === null && idx !== this.roundLeader
-    );
-    
-    const allOthersSkipped = activePlayers.every((p) => {
-      const playerIdx = this.players.findIndex(pl => pl.id === p.id);
-      return this.playersWhoSkipped.has(playerIdx);
-    });
-    
-    if (this.roundLeader !== null && allOthersSkipped) {
-      console.log('All other active players have skipped - round ends');
-      this.endRound();
-      return;
-    }
-    
-    // Log the current skip state for debugging
-    console.log(`Skip state - Round leader: ${this.roundLeader}, ` +
-                `Current player: ${this.currentPlayerIndex}, ` +
-                `Skipped players: ${Array.from(this.playersWhoSkipped).join(', ')}`);
+  const respond = response => {
+    ack(response);
+    if (!key) return;
+    // Only the latest answers are worth keeping
+    roomStore.get(roomId)
+      .then(current => current && roomStore.update(roomId, {
+        recentActions: [...current.recentActions, [key, response]].slice(-RECENT_ACTIONS_KEPT)
+      }))
+      .catch(logFailure('guardAction'));
+  };
+
+  // Actions without a version are judged against the current state
+  if (typeof stateVersion === 'number' && stateVersion !== room.stateVersion) {
+    console.log(`Stale action from ${player.name}: version ${stateVersion}, room at ${room.stateVersion}`);
+    rejectAction(respond, 'STALE_STATE');
+    return null;
+  }
+  return respond;
+}
+
+// Helper: the public view of a room's seats (never includes session tokens)
+function getPublicPlayers(room) {
+  return room.players.map(p => ({
+    id: p.id,
+    name: p.name,
+    index: p.index,
+    connected: p.connected,
+    isHost: p.id === room.hostId,
+    isBot: p.isBot
+  }));
+}
+
+// Helper: who a socket speaks as in a room's chat – taken from their seat
+// or spectator entry, never from what the client claims
+function getChatSender(room, socketId) {
+  const player = room.players.find(p => p.socketId === socketId);
+  if (player) return { name: player.name, playerId: player.id };
+  const spectator = room.spectators.find(s => s.socketId === socketId);
+  return spectator ? { name: spectator.name, spectator: true } : null;
+}
+
+// Helper: a chat history with one more message, dropping the oldest past
+// CHAT.HISTORY_SIZE
+function addChatMessage(history, entry) {
+  return [...history, entry].slice(-GAME_CONFIG.CHAT.HISTORY_SIZE);
+}
+
+// Helper: the Socket.IO room of everyone in a room, players and spectators
+function roomChannel(roomId) {
+  return `${ROOM_CHANNEL}${roomId}`;
+}
+
+// Helper: the Socket.IO room of a room's spectators only
+function spectatorChannel(roomId) {
+  return `spectators:${roomId}`;
+}
+
+// Helper: send the lobby list to one socket, or to everyone
+async function sendRoomList(target = io) {
+  target.emit('roomList', await getAvailableRooms());
+}
+
+// Helper: send one seated player the shared state plus their private hand
+function sendGameState(roomId, room, player) {
+  if (!player.socketId) return; // Disconnected; they get a fresh copy on return
+  const { gameState } = getLiveRoom(roomId);
+  io.to(player.socketId).emit('gameState', {
+    ...gameState.getState(),
+    yourHand: gameState.getPlayerHand(player.id),
+    yourIndex: player.index,
+    playerCount: room.players.length,
+    stateVersion: room.stateVersion,
+    serverTime: Date.now() // Lets clients line their countdown up with turnDeadline
+  });
+}
+
+// Helper: the public state only – hand counts but no hands, for spectators
+function getSpectatorState(roomId, room) {
+  return {
+    ...getLiveRoom(roomId).gameState.getState(),
+    yourIndex: -1,
+    spectator: true,
+    playerCount: room.players.length,
+    stateVersion: room.stateVersion,
+    serverTime: Date.now()
+  };
+}
+
+// Helper: give the player to act a fresh deadline (or stop the clock once
+// nobody has to act)
+async function startTurnTimer(roomId) {
+  const room = await roomStore.get(roomId);
+  const live = getLiveRoom(roomId);
+  const gameState = live.gameState;
+  clearTimeout(live.turnTimer);
+
+  const phase = gameState.gamePhase;
+  const running = room.status !== 'finished' && (phase === GAME_PHASES.PLAYING || phase === GAME_PHASES.EXCHANGING);
+  gameState.turnDeadline = running ? Date.now() + GAME_CONFIG.TURN_TIMEOUT : null;
+  live.turnTimer = running ? runLater(() => handleTurnTimeout(roomId), GAME_CONFIG.TURN_TIMEOUT) : null;
+  await storeMatch(roomId);
+}
+
+// Helper: the player to act ran out of time – act for them so the room
+// never freezes. They pass, lead their weakest card, or hand back their
+// weakest cards during the exchange.
+async function handleTurnTimeout(roomId) {
+  const room = await roomStore.get(roomId);
+  const live = liveRooms.get(roomId);
+  if (!room || !live || !live.gameState) return;
+  live.turnTimer = null;
+
+  const gameState = live.gameState;
+  const playerIndex = gameState.currentPlayerIndex;
+  const player = gameState.players[playerIndex];
+  console.log(`Turn timed out for player ${playerIndex} (${player.name}) in room ${roomId}`);
+
+  io.to(roomChannel(roomId)).emit('turnTimedOut', { playerIndex, name: player.name });
+
+  if (gameState.gamePhase === GAME_PHASES.EXCHANGING) {
+    gameState.exchangeCards(playerIndex, chooseBotExchange(gameState, playerIndex));
+    await broadcastGameState(roomId);
+  } else if (gameState.currentHighestCards.length === 0) {
+    await applyPlay(roomId, playerIndex, [gameState.getWeakestCard(playerIndex)]);
+  } else {
+    await applyPass(roomId, playerIndex);
   }
-  
-  endRound() {
-    console.log('Round completed, clearing center cards');
-    
-    // The round leader (who had the highest cards) wins the round and starts next
-    const roundWinnerIndex = this.roundLeader;
-    const roundWinner = this.players[roundWinnerIndex];
-    
-    if (roundWinner) {
-      console.log(`Player ${roundWinnerIndex} (${roundWinner.name}) won the round and starts the next round`);
-      
-      // Update round winner
-      this.roundWinner = roundWinner.id;
-      
-      // Clear round state
-      this.centerCards = [];
-      this.lastPlayedCards = [];
-      this.currentHighestCard = null;
-      this.currentHighestCards = [];
-      this.playersWhoSkipped.clear();
-      this.consecutiveSkips = 0;
-      this.currentRound = 0;
-      
-      // Round winner starts the next round
-      this.currentPlayerIndex = roundWinnerIndex;
+
+  await handleHandOver(roomId);
+}
+
+// Helper: if a bot has to act, let it – after a short random pause, so it
+// doesn't answer instantly. The move goes through the same rules as a human's.
+async function scheduleBotTurn(roomId) {
+  const room = await roomStore.get(roomId);
+  const live = getLiveRoom(roomId);
+  clearTimeout(live.botTimer);
+  live.botTimer = null;
+
+  const phase = live.gameState.gamePhase;
+  const bot = room.players[live.gameState.currentPlayerIndex];
+  if (room.status === 'finished' || !bot || !bot.isBot) return;
+  if (phase !== GAME_PHASES.PLAYING && phase !== GAME_PHASES.EXCHANGING) return;
+
+  // Only act in the same hand of the same match, and only for this bot
+  const { id: matchId, handNumber } = live.match;
+  const { MIN, MAX } = GAME_CONFIG.BOT_DELAY;
+  live.botTimer = runLater(async () => {
+    live.botTimer = null;
+    const current = await roomStore.get(roomId);
+    const { match, gameState } = live;
+    if (!current || liveRooms.get(roomId) !== live) return;
+    if (!match || match.id !== matchId || match.handNumber !== handNumber) return;
+    if (current.status === 'finished') return;
+    const playerIndex = gameState.currentPlayerIndex;
+    if (!current.players[playerIndex] || current.players[playerIndex].id !== bot.id) return;
+
+    if (gameState.gamePhase === GAME_PHASES.EXCHANGING) {
+      gameState.exchangeCards(playerIndex, chooseBotExchange(gameState, playerIndex));
+      await broadcastGameState(roomId);
     } else {
-      console.error('No round winner found when ending round');
-      // Fallback: Just move to next player if no round leader
-      this.currentPlayerIndex = (this.currentPlayerIndex + 1) % this.players.length;
+      const cards = chooseBotPlay(gameState, playerIndex);
+      if (!cards || await applyPlay(roomId, playerIndex, cards)) await applyPass(roomId, playerIndex);
     }
+
+    await handleHandOver(roomId);
+  }, MIN + Math.random() * (MAX - MIN));
+}
+
+// Helper: send each seated player a full snapshot – the shared state plus
+// their private hand. Used when the whole table changes (a new hand, the
+// exchange, a bot taking a seat); plays and passes go out as game events
+// instead (see announceMove). It also restarts the turn timer, wakes the bot
+// whose turn it is and moves the room to a new stateVersion.
+async function broadcastGameState(roomId) {
+  let room = await roomStore.get(roomId);
+  const live = liveRooms.get(roomId);
+  if (!room || !live || !live.gameState) return;
+
+  await roomStore.update(roomId, { stateVersion: room.stateVersion + 1 });
+  await startTurnTimer(roomId);
+  await scheduleBotTurn(roomId);
+  room = await roomStore.get(roomId);
+  room.players.forEach(player => sendGameState(roomId, room, player));
+  io.to(spectatorChannel(roomId)).emit('gameState', getSpectatorState(roomId, room));
+
+  if (live.match) {
+    io.to(roomChannel(roomId)).emit('matchState', live.match.getState());
   }
+}
 
-  nextTurn() {
-    let attempts = 0;
-    const maxAttempts = this.players.length;
-    
-    do {
-      this.currentPlayerIndex = (this.currentPlayerIndex + 1) % this.players.length;
-      attempts++;
-      
-      // Prevent infinite loop if all players are finished
-      if (attempts >= maxAttempts) {
-        break;
-      }
-    } while (this.players[this.currentPlayerIndex].finishPosition !== null);
-    
-    this.currentRound++;
-    
-    // Check if round is complete (all active players have played)
-    const activePlayers = this.players.filter(p => p.finishPosition === null);
-    if (this.currentRound >= activePlayers.length) {
-      this.endRound();
-    }
+// Helper: send everyone in the room (spectators included – events carry no
+// private hands) one typed change. Each event is a new stateVersion and says
+// whose turn follows, so clients can apply it without a full snapshot.
+async function emitGameEvent(roomId, type, data) {
+  const room = await roomStore.get(roomId);
+  const { stateVersion } = await roomStore.update(roomId, { stateVersion: room.stateVersion + 1 });
+  const { gameState } = getLiveRoom(roomId);
+
+  io.to(roomChannel(roomId)).emit(type, {
+    ...data,
+    stateVersion,
+    currentPlayerIndex: gameState.currentPlayerIndex,
+    gamePhase: gameState.gamePhase,
+    turnDeadline: gameState.turnDeadline,
+    serverTime: Date.now()
+  });
+}
+
+// Helper: what a move may change besides the move itself
+function getMoveBaseline(gameState) {
+  return {
+    tableCount: gameState.currentHighestCards.length,
+    finishPositions: gameState.players.map(p => p.finishPosition)
+  };
+}
+
+// Helper: announce a play or a pass and whatever followed from it –
+// playerFinished for anyone who went out, trickCleared if the table was
+// cleared – then restart the clock and wake the next bot. Full snapshots are
+// kept for joining, resyncing and new hands (see broadcastGameState).
+async function announceMove(roomId, type, data, baseline) {
+  const { gameState } = getLiveRoom(roomId);
+  await startTurnTimer(roomId); // Also stores the move
+
+  await emitGameEvent(roomId, type, data);
+
+  for (const [index, player] of gameState.players.entries()) {
+    if (player.finishPosition === null || baseline.finishPositions[index] !== null) continue;
+    await emitGameEvent(roomId, 'playerFinished', {
+      playerIndex: index,
+      finishPosition: player.finishPosition,
+      title: getTitle(player.finishPosition, gameState.players.length)
+    });
   }
 
-  getState() {
-    return {
-      players: this.players.map(p => ({
-        id: p.id,
-        name: p.name,
-        index: p.index,
-        handCount: p.hand.length,
-        isWinner: p.isWinner,
-        finishPosition: p.finishPosition
-      })),
-      currentPlayerIndex: this.currentPlayerIndex,
-      currentRound: this.currentRound,
-      centerCards: this.centerCards,
-      lastPlayedCards: this.lastPlayedCards,
-      currentHighestCard: this.currentHighestCard,
-      currentHighestCards: this.currentHighestCards,
-      roundWinner: this.roundWinner,
-      roundLeader: this.roundLeader,
-      gamePhase: this.gamePhase,
-      gameWinner: this.gameWinner ? {
-        id: this.gameWinner.id,
-        name: this.gameWinner.name,
-        index: this.gameWinner.index
-      } : null,
-      gameSecond: this.gameSecond ? {
-        id: this.gameSecond.id,
-        name: this.gameSecond.name,
-        index: this.gameSecond.index
-      } : null,
-      gameThird: this.gameThird ? {
-        id: this.gameThird.id,
-        name: this.gameThird.name,
-        index: this.gameThird.index
-      } : null,
-      gameLoser: this.gameLoser ? {
-        id: this.gameLoser.id,
-        name: this.gameLoser.name,
-        index: this.gameLoser.index
-      } : null
-    };
+  const tableWasSet = type === 'cardsPlayed' || baseline.tableCount > 0;
+  if (tableWasSet && gameState.currentHighestCards.length === 0) {
+    await emitGameEvent(roomId, 'trickCleared', { leaderIndex: gameState.currentPlayerIndex });
+  }
+
+  await scheduleBotTurn(roomId);
+}
+
+// Helper: play cards for a seat – a human's move, a bot's or a timeout's –
+// and announce it. Resolves to an ACTION_ERRORS code if the rules refuse it.
+async function applyPlay(roomId, playerIndex, cards) {
+  const { gameState } = getLiveRoom(roomId);
+  const player = gameState.players[playerIndex];
+  const error = gameState.checkPlay(player, cards);
+  if (error) return error;
+
+  // Announce the cards as held, not as the client described them
+  const played = findCardIndexes(player.hand, cards).map(index => player.hand[index]);
+  const baseline = getMoveBaseline(gameState);
+  gameState.playCards(playerIndex, played);
+
+  await announceMove(roomId, 'cardsPlayed', {
+    playerIndex,
+    cards: played,
+    play: gameState.classifyPlay(played),
+    handCount: player.hand.length,
+    revolution: gameState.revolution
+  }, baseline);
+  return null;
+}
+
+// Helper: pass for the seat to act and announce it
+async function applyPass(roomId, playerIndex) {
+  const { gameState } = getLiveRoom(roomId);
+  const baseline = getMoveBaseline(gameState);
+  gameState.skipTurn();
+  await announceMove(roomId, 'turnPassed', { playerIndex }, baseline);
+}
+
+// Helper: tell the room about a player the room manager took out of it
+// (see RoomManager.removePlayer) and stop the clocks the seat had running
+async function announceRemoval(roomId, { player, room, closed, abandoned }) {
+  const live = getLiveRoom(roomId);
+  clearTimeout(live.graceTimers.get(player.id));
+  live.graceTimers.delete(player.id);
+  clearTimeout(live.turnTimer);
+  clearTimeout(live.botTimer);
+  live.turnTimer = null;
+  live.botTimer = null;
+
+  if (closed) {
+    discardUnfinishedMatch(roomId);
+    dropLiveRoom(roomId);
+  } else {
+    if (abandoned) io.to(roomChannel(roomId)).emit('gameAbandoned', { name: player.name });
+    io.to(roomChannel(roomId)).emit('playerList', getPublicPlayers(room));
+    await broadcastRoomInfo(roomId);
+    await announceRematch(roomId, await rooms.checkRematch(roomId));
   }
+  await sendRoomList();
+}
+
+// Helper: tell a finished room where the rematch vote stands (see
+// RoomManager.checkRematch) and, once everyone agreed, deal the new match
+async function announceRematch(roomId, rematch) {
+  if (!rematch) return;
+  const { accepted, waiting, agreed, room } = rematch;
+  io.to(roomChannel(roomId)).emit('rematchState', { accepted, waiting });
+  if (!agreed) return;
+
+  console.log(`Rematch agreed in room ${roomId} with ${room.players.length} players`);
+  const live = getLiveRoom(roomId);
+  clearTimeout(live.turnTimer);
+  clearTimeout(live.botTimer);
+  discardUnfinishedMatch(roomId);
+  Object.assign(live, { match: null, gameState: null, turnTimer: null, botTimer: null });
+  io.to(roomChannel(roomId)).emit('rematchStarting', { players: getPublicPlayers(room) });
+  await startGame(roomId);
+}
 
-  getPlayerHand(playerId) {
-    const player = this.players.find(p => p.id === playerId);
-    return player ? player.hand : [];
+// Helper: a disconnected player's grace period ran out – give up their seat.
+// Mid-game a bot takes it over so the others can play on.
+async function releaseSeat(roomId, playerId) {
+  getLiveRoom(roomId).graceTimers.delete(playerId);
+  const released = await rooms.releaseSeat(roomId, playerId);
+  if (!released) return;
+  if (!released.botTookOver) {
+    console.log(`Player ${released.player.name} did not return to room ${roomId}, seat released`);
+    await announceRemoval(roomId, released);
+    return;
   }
+
+  const { player, room } = released;
+  console.log(`Player ${playerId} did not return to room ${roomId}, ${player.name} takes over`);
+  // Keep the names the hand and the match show in step
+  const { gameState, match } = getLiveRoom(roomId);
+  gameState.players[player.index].name = player.name;
+  const matchPlayer = match.players.find(p => p.id === player.id);
+  if (matchPlayer) matchPlayer.name = player.name;
+
+  io.to(roomChannel(roomId)).emit('botTookOver', { index: player.index, name: player.name });
+  io.to(roomChannel(roomId)).emit('playerList', getPublicPlayers(room));
+  await broadcastRoomInfo(roomId);
+  await broadcastGameState(roomId);
 }
 
-// Helper: available rooms (< MAX_PLAYERS and not started)
-function getAvailableRooms() {
-  return Object.entries(rooms)
-    .filter(([id, room]) => 
-      room.players.length < MAX_PLAYERS && 
-      !room.gameState // Only show rooms that haven't started
-    )
-    .map(([id, room]) => ({
-      id,
-      count: room.players.length,
-      status: room.gameState ? 'in-game' : 'waiting'
-    }));
+// Helper: deal the first hand of the room's match
+async function startGame(roomId) {
+  const live = getLiveRoom(roomId);
+  try {
+    console.log(`Creating game state for room ${roomId}`);
+
+    // Mark room as in-progress before creating game state. A table started
+    // early by the host plays with the seats it has.
+    let room = await roomStore.get(roomId);
+    room = await roomStore.update(roomId, {
+      status: 'in-progress',
+      settings: { ...room.settings, seats: room.players.length }
+    });
+
+    // Create the match and deal its first hand
+    live.match = new Match(room.players, room.settings);
+    live.gameState = live.match.startHand();
+    room = await storeMatch(roomId);
+    console.log(`Game started in room ${roomId} with ${room.players.length} players`);
+    await sendRoomList(); // Now listed as a live game
+    console.log(`First player index: ${live.gameState.currentPlayerIndex}`);
+
+    // Notify all clients in the room that the game is starting
+    console.log(`Notifying players in room ${roomId} that game is starting`);
+    io.to(roomChannel(roomId)).emit('gameStarting', {
+      playerCount: room.players.length,
+      firstPlayerIndex: live.gameState.currentPlayerIndex
+    });
+
+    // Small delay to ensure all clients are ready
+    runLater(async () => {
+      console.log(`Sending initial game state to all players in room ${roomId}`);
+      await broadcastGameState(roomId);
+    }, 1000); // Increased delay to ensure all clients are ready
+  } catch (error) {
+    console.error('Error starting game:', error);
+    // Clean up if game fails to start
+    io.to(roomChannel(roomId)).emit('gameError', { message: 'Failed to start game. Please try again.' });
+    discardUnfinishedMatch(roomId);
+    dropLiveRoom(roomId);
+    await roomStore.delete(roomId);
+  }
+}
+
+// Helper: close a room if nobody has joined it within EMPTY_ROOM_TIMEOUT.
+// Only rooms created through the API start out empty; every other room is
+// closed when its last human leaves (see RoomManager.removePlayer).
+function scheduleEmptyRoomExpiry(roomId) {
+  getLiveRoom(roomId).emptyTimer = runLater(async () => {
+    const room = await roomStore.get(roomId);
+    if (!room || room.players.length > 0) return;
+    console.log(`Room ${roomId} was never joined, closing it`);
+    dropLiveRoom(roomId);
+    await roomStore.delete(roomId);
+    await sendRoomList();
+  }, GAME_CONFIG.EMPTY_ROOM_TIMEOUT);
+}
+
+// Helper: the room's host and settings, sent whenever either changes
+async function broadcastRoomInfo(roomId) {
+  const room = await roomStore.get(roomId);
+  io.to(roomChannel(roomId)).emit('roomInfo', {
+    hostId: room.hostId,
+    seats: room.settings.seats,
+    locked: room.locked
+  });
+}
+
+// Helper: once a hand is over, score it and deal the next one (or end the match)
+async function handleHandOver(roomId) {
+  const live = liveRooms.get(roomId);
+  const match = live && live.match;
+  if (!match || !match.recordHand()) return;
+
+  saveReplay(match.id, match.results.length, live.gameState.getReplay());
+  await storeMatch(roomId); // Now holds the hand's scores
+  io.to(roomChannel(roomId)).emit('matchState', match.getState());
+
+  if (match.isOver()) {
+    await roomStore.update(roomId, { status: 'finished' });
+    console.log(`Match over in room ${roomId}, winner: ${match.getState().winner.name}`);
+    recordMatchResult(roomId, match);
+    io.to(roomChannel(roomId)).emit('matchOver', match.getState());
+    await announceRematch(roomId, await rooms.checkRematch(roomId));
+    return;
+  }
+
+  scheduleNextHand(roomId);
+}
+
+// Helper: deal the match's next hand after a pause
+function scheduleNextHand(roomId) {
+  const live = getLiveRoom(roomId);
+  const matchId = live.match.id;
+  console.log(`Hand over in room ${roomId}, next hand in ${GAME_CONFIG.NEXT_HAND_DELAY}ms`);
+
+  runLater(async () => {
+    // The room may have emptied (or been abandoned, or moved on to a rematch) while we waited
+    const room = await roomStore.get(roomId);
+    if (!room || liveRooms.get(roomId) !== live || !live.match || live.match.id !== matchId) return;
+    if (room.status === 'finished' || room.players.length < 2) return;
+
+    live.gameState = live.match.startHand();
+    await storeMatch(roomId);
+    console.log(`New hand dealt in room ${roomId} (phase: ${live.gameState.gamePhase})`);
+    io.to(roomChannel(roomId)).emit('newHand', {
+      gamePhase: live.gameState.gamePhase,
+      exchanges: live.gameState.getState().exchanges
+    });
+    await broadcastGameState(roomId);
+  }, GAME_CONFIG.NEXT_HAND_DELAY);
+}
+
+/* ------------------------
+   JSON HTTP API
+   ------------------------ */
+// Read-only views of the same rooms the sockets use, plus room creation.
+// Errors are { code, message }, like refused socket actions.
+app.use('/api', express.json({ strict: false })); // Any JSON value; the routes check its shape
+
+// A body that can't be read (not JSON, or too big) is answered like any
+// other API error instead of with Express's HTML error page
+app.use('/api', (error, req, res, next) => {
+  if (!error.type || !error.status) return next(error); // Not a body-parser error
+  const message = error.type === 'entity.parse.failed' ? 'The request body is not valid JSON.' : error.message;
+  sendApiError(res, error.status, 'INVALID_BODY', message);
+});
+
+// Helper: answer an API request with an error, plus any details
+function sendApiError(res, status, code, message, details = {}) {
+  res.status(status).json({ code, message, ...details });
 }
 
+// Every public room, whatever its state: waiting, full, locked, in a game or finished
+app.get('/api/rooms', async (req, res) => {
+  res.json((await roomStore.list())
+    .filter(([id, room]) => !room.isPrivate)
+    .map(([id, room]) => ({ ...getRoomSummary(id, room), roomStatus: room.status, locked: room.locked })));
+});
+
+// One room's public state. Private rooms need their invite code (?invite=).
+app.get('/api/rooms/:id', async (req, res) => {
+  const room = await roomStore.get(req.params.id);
+  if (!room || !canEnterRoom(room, { inviteCode: req.query.invite })) {
+    return sendApiError(res, 404, 'ROOM_NOT_FOUND', 'No such room.');
+  }
+  res.json(getPublicRoomState(req.params.id, room));
+});
+
+// Final standings and every hand's finishing order of a finished match.
+// The match id is in the room's match state (match.id).
+app.get('/api/games/:id/result', async (req, res) => {
+  const result = matchResults.get(req.params.id);
+  if (result) return res.json(result);
+
+  const running = (await roomStore.list()).some(([id, room]) => room.match && room.match.id === req.params.id);
+  if (running) return sendApiError(res, 409, 'GAME_NOT_FINISHED', 'That match is still being played.');
+  sendApiError(res, 404, 'GAME_NOT_FOUND', 'No such match.');
+});
+
+// The replay file of one finished hand (numbered from 1) of a match, finished
+// or still being played. Replaying it with replayGame() (rules.js) rebuilds
+// the hand exactly; it shows every hand, so a hand in progress isn't served.
+app.get('/api/games/:id/hands/:hand/replay', async (req, res) => {
+  // Only known matches, so the id never picks an arbitrary file
+  const known = matchResults.has(req.params.id) ||
+    (await roomStore.list()).some(([id, room]) => room.match && room.match.id === req.params.id);
+  if (!known) return sendApiError(res, 404, 'GAME_NOT_FOUND', 'No such match.');
+
+  const hand = parseInt(req.params.hand, 10);
+  const replay = (await readReplays(req.params.id)).find(saved => saved.hand === hand);
+  if (!replay) return sendApiError(res, 404, 'HAND_NOT_FOUND', 'That hand has not been played to the end.');
+
+  res.attachment(`presidente-${req.params.id}-hand-${hand}.json`);
+  res.json({ ...replay, matchId: req.params.id });
+});
+
+// Create an empty room: { id, settings } with the same settings as joinRoom.
+// The first player to join becomes its host. A private room's invite code
+// is only ever given out here.
+app.post('/api/rooms', async (req, res) => {
+  const body = req.body === undefined ? {} : req.body; // No body at all: a room with default settings
+  const problem = validatePayload(CREATE_ROOM_SCHEMA, body, 'body');
+  if (problem) {
+    return sendApiError(res, 400, 'INVALID_BODY', `${problem.field} ${problem.reason}.`, problem);
+  }
+  const { id, settings } = body;
+  const roomId = id === undefined ? `room-${crypto.randomBytes(3).toString('hex')}` : id;
+  const { ROOM_NAME_MAX_LENGTH } = GAME_CONFIG;
+  if (typeof roomId !== 'string' || !roomId.trim() || roomId.length > ROOM_NAME_MAX_LENGTH) {
+    return sendApiError(res, 400, 'INVALID_ROOM_ID', `Room ids are 1 to ${ROOM_NAME_MAX_LENGTH} characters.`);
+  }
+  if (await roomStore.get(roomId)) {
+    return sendApiError(res, 409, 'ROOM_EXISTS', 'A room with that id already exists.');
+  }
+
+  console.log(`Creating new room ${roomId}`);
+  const room = await rooms.createRoom(roomId, settings || {});
+  scheduleEmptyRoomExpiry(roomId);
+  await sendRoomList();
+  res.status(201).json({
+    ...getPublicRoomState(roomId, room),
+    inviteCode: room.inviteCode,
+    inviteUrl: room.inviteCode ? `/room/${room.inviteCode}` : null
+  });
+});
+
 io.on('connection', socket => {
   // Send current room list on connection
-  socket.emit('roomList', getAvailableRooms());
+  sendRoomList(socket).catch(logFailure('connection'));
   console.log(' Client connected:', socket.id);
 
-  // Handle disconnect ---------------------------------
-  socket.on('listRooms', () => {
-    socket.emit('roomList', getAvailableRooms());
+  let lobbyName = null; // Name given when entering the lobby chat
+  let recentChatTimes = []; // When this socket last sent chat messages
+
+  // Every payload has to fit its event's schema (src/server/socket-schemas.js)
+  // before a handler sees it. A misfit is refused like a game action – through
+  // the acknowledgement if there is one, as a gameError otherwise – with
+  // { code: 'INVALID_PAYLOAD', message, event, field, reason }.
+  socket.use((packet, next) => {
+    const problem = validatePacket(packet);
+    if (!problem) return next();
+
+    const [event, , ack] = packet;
+    console.log(`Invalid ${event} from ${socket.id}: ${problem.field} ${problem.reason}`);
+    const error = { code: 'INVALID_PAYLOAD', message: ACTION_ERRORS.INVALID_PAYLOAD, event, ...problem };
+    if (typeof ack === 'function') ack({ ok: false, ...error });
+    else socket.emit('gameError', error);
   });
 
-  // 2. Create / join room ---------------------------------
-  socket.on('joinRoom', ({ roomId, name }) => {
-    console.log(`Player ${name} (${socket.id}) attempting to join room ${roomId}`);
-    
-    // If room doesn't exist, create it
-    if (!rooms[roomId]) {
-      console.log(`Creating new room ${roomId}`);
-      rooms[roomId] = { 
-        players: [],
-        gameState: null, // Track if game has started
-        status: 'waiting' // waiting, full, in-progress
-      };
-    }
+  // Handle disconnect ---------------------------------
+  onClientEvent(socket, 'listRooms', () => sendRoomList(socket));
 
-    const room = rooms[roomId];
-    
-    // Prevent joining if game already started
-    if (room.status === 'in-progress') {
-      console.log(`Room ${roomId} game already in progress`);
-      socket.emit('gameAlreadyStarted');
-      return;
-    }
-    
-    // Check if player is already in the room
-    const existingPlayer = room.players.find(p => p.id === socket.id);
-    if (existingPlayer) {
+  // 2. Create / join room ---------------------------------
+  // A returning player (page refresh or dropped connection) gets their seat back
+  onClientEvent(socket, 'joinRoom', async ({ roomId, name, settings, token, inviteCode, password }) => {
+    console.log(`Player ${name} (${socket.id}) attempting to join room ${roomId || `by invite ${inviteCode}`}`);
+    const joined = await rooms.joinRoom({ roomId, inviteCode, name, settings, token, password, socketId: socket.id });
+    if (!joined) {
       console.log(`Player ${name} (${socket.id}) already in room ${roomId}`);
       return;
     }
-    
-    // Prevent joining if room is full
-    if (room.players.length >= MAX_PLAYERS) {
-      console.log(`Room ${roomId} is full`);
-      socket.emit('roomFull');
+    if (joined.error) {
+      console.log(`Player ${name} (${socket.id}) not let into room ${roomId}: ${joined.error}`);
+      sendRefusal(socket, joined);
       return;
     }
 
-    // Add player to room
-    const playerIndex = room.players.length;
-    const playerInfo = { id: socket.id, name, index: playerIndex };
-    room.players.push(playerInfo);
-    
-    console.log(`Player ${name} (${socket.id}) joined room ${roomId} as player ${playerIndex + 1}`);
-    console.log(`Room ${roomId} now has ${room.players.length} players`);
-    
-    socket.join(roomId);
-    socket.emit('joined', { 
-      id: socket.id, 
-      index: playerIndex,
-      players: room.players
+    const { room, player, resumed } = joined;
+    roomId = joined.roomId;
+    const live = getLiveRoom(roomId);
+    if (resumed) {
+      clearTimeout(live.graceTimers.get(player.id));
+      live.graceTimers.delete(player.id);
+      console.log(`Player ${player.name} (${socket.id}) reconnected to room ${roomId} as player ${player.index + 1}`);
+    } else {
+      clearTimeout(live.emptyTimer);
+      live.emptyTimer = null;
+      if (joined.isNewRoom) console.log(`Created new room ${roomId}`);
+      console.log(`Player ${name} (${socket.id}) joined room ${roomId} as player ${player.index + 1}`);
+      console.log(`Room ${roomId} now has ${room.players.length} players`);
+    }
+
+    socket.join(roomChannel(roomId));
+    socket.emit('joined', {
+      id: player.id,
+      roomId,
+      index: player.index,
+      players: getPublicPlayers(room),
+      seats: room.settings.seats,
+      token: player.token,
+      inviteCode: room.inviteCode
     });
-    
+    socket.emit('chatHistory', { messages: room.chatHistory });
+
     // Update all players in the room with the new player list
-    io.to(roomId).emit('playerList', room.players);
+    io.to(roomChannel(roomId)).emit('playerList', getPublicPlayers(room));
+    await broadcastRoomInfo(roomId);
 
-    // Broadcast updated room list to everyone
-    io.emit('roomList', getAvailableRooms());
-
-    // Auto-start when exactly 4 players are in the room
-    if (room.players.length === MAX_PLAYERS && room.status !== 'in-progress') {
-      console.log(`Room ${roomId} has reached ${MAX_PLAYERS} players, starting game...`);
-      try {
-        console.log(`Creating game state for room ${roomId}`);
-        
-        // Mark room as in-progress before creating game state
-        room.status = 'in-progress';
-        
-        // Create server-side game state with all players
-        room.gameState = new GameState(room.players);
-        console.log(`Game started in room ${roomId} with ${room.players.length} players`);
-        console.log(`First player index: ${room.gameState.currentPlayerIndex}`);
-        
-        // Notify all clients in the room that the game is starting
-        console.log(`Notifying players in room ${roomId} that game is starting`);
-        io.to(roomId).emit('gameStarting', { 
-          playerCount: room.players.length,
-          firstPlayerIndex: room.gameState.currentPlayerIndex
-        });
-        
-        // Small delay to ensure all clients are ready
-        setTimeout(() => {
-          console.log(`Sending initial game state to all players in room ${roomId}`);
-          
-          // Send game state to all players
-          room.players.forEach((player, index) => {
-            console.log(`Sending game state to player ${player.name} (${player.id})`);
-            io.to(player.id).emit('gameState', {
-              ...room.gameState.getState(),
-              yourHand: room.gameState.getPlayerHand(player.id),
-              yourIndex: player.index,
-              playerCount: room.players.length
-            });
-          });
-        }, 1000); // Increased delay to ensure all clients are ready
-      } catch (error) {
-        console.error('Error starting game:', error);
-        // Clean up if game fails to start
-        room.players = [];
-        delete rooms[roomId];
-        socket.emit('gameError', { message: 'Failed to start game. Please try again.' });
+    if (resumed) {
+      // Bring them straight back into the hand in progress
+      if (live.gameState) {
+        sendGameState(roomId, room, player);
+        if (live.match) socket.emit('matchState', live.match.getState());
       }
+      return;
+    }
+
+    // Broadcast updated room list to everyone
+    await sendRoomList();
+
+    // Auto-start once every seat chosen by the room creator is taken
+    if (joined.full) {
+      console.log(`Room ${roomId} has reached ${room.settings.seats} players, starting game...`);
+      await startGame(roomId);
+    }
+  });
+
+  // Watch a room without taking a seat. Spectators join the room's public
+  // channel and a spectators-only channel for the public game state; they
+  // are never added to room.players, so every game action ignores them.
+  onClientEvent(socket, 'spectateRoom', async ({ roomId, name, inviteCode, password }) => {
+    const watching = await rooms.spectateRoom({ roomId, name, inviteCode, password, socketId: socket.id });
+    if (watching.error) return sendRefusal(socket, watching);
+    const { room } = watching;
+    console.log(`Spectator ${name} (${socket.id}) watching room ${roomId}`);
+
+    socket.join(roomChannel(roomId));
+    socket.join(spectatorChannel(roomId));
+    socket.emit('spectating', {
+      players: getPublicPlayers(room),
+      seats: room.settings.seats
+    });
+    socket.emit('chatHistory', { messages: room.chatHistory });
+
+    const { gameState, match } = getLiveRoom(roomId);
+    if (gameState) {
+      socket.emit('gameState', getSpectatorState(roomId, room));
+      if (match) socket.emit('matchState', match.getState());
+    }
+  });
+
+  // Host controls (waiting room only) -------------------
+  // The room manager checks that the host asks, before the game starts
+  onClientEvent(socket, 'startGame', async ({ roomId }) => {
+    const started = await rooms.startEarly(roomId, socket.id);
+    if (started.error) return sendRefusal(socket, started);
+    console.log(`Host started room ${roomId} with ${started.room.players.length} players`);
+    await startGame(roomId);
+  });
+
+  onClientEvent(socket, 'addBot', async ({ roomId }) => {
+    const added = await rooms.addBot(roomId, socket.id);
+    if (added.error) return sendRefusal(socket, added);
+    console.log(`Host added ${added.bot.name} to room ${roomId}`);
+    io.to(roomChannel(roomId)).emit('playerList', getPublicPlayers(added.room));
+    await sendRoomList();
+
+    // Same rule as a human joining: a full room starts
+    if (added.full) await startGame(roomId);
+  });
+
+  // Removes a player or a bot from the waiting room
+  onClientEvent(socket, 'kickPlayer', async ({ roomId, playerId }) => {
+    const kicked = await rooms.kickPlayer(roomId, socket.id, playerId);
+    if (!kicked) return;
+    if (kicked.error) return sendRefusal(socket, kicked);
+
+    const { player } = kicked;
+    console.log(`Host kicked ${player.name} from room ${roomId}`);
+    if (player.socketId) {
+      io.to(player.socketId).emit('kicked');
+      const kickedSocket = io.sockets.sockets.get(player.socketId);
+      if (kickedSocket) kickedSocket.leave(roomChannel(roomId));
+    }
+    await announceRemoval(roomId, kicked);
+  });
+
+  onClientEvent(socket, 'lockRoom', async ({ roomId, locked }) => {
+    const changed = await rooms.lockRoom(roomId, socket.id, locked);
+    if (changed.error) return sendRefusal(socket, changed);
+    console.log(`Room ${roomId} ${changed.room.locked ? 'locked' : 'unlocked'}`);
+    await broadcastRoomInfo(roomId);
+    await sendRoomList();
+  });
+
+  onClientEvent(socket, 'setSeatLimit', async ({ roomId, seats }) => {
+    const changed = await rooms.setSeatLimit(roomId, socket.id, seats);
+    if (changed.error) return sendRefusal(socket, changed);
+    console.log(`Room ${roomId} seat limit set to ${changed.room.settings.seats}`);
+    await broadcastRoomInfo(roomId);
+    await sendRoomList();
+  });
+
+  onClientEvent(socket, 'transferHost', async ({ roomId, playerId }) => {
+    const changed = await rooms.transferHost(roomId, socket.id, playerId);
+    if (!changed) return;
+    if (changed.error) return sendRefusal(socket, changed);
+    console.log(`Room ${roomId} host is now ${playerId}`);
+    io.to(roomChannel(roomId)).emit('playerList', getPublicPlayers(changed.room));
+    await broadcastRoomInfo(roomId);
+  });
+
+  // Rematch vote, once the match is over (or was abandoned). A "no" leaves
+  // the room for good.
+  onClientEvent(socket, 'rematchVote', async ({ roomId, accept }) => {
+    const vote = await rooms.voteRematch(roomId, socket.id, accept === true);
+    if (!vote) return;
+
+    if (vote.removed) {
+      console.log(`Player ${vote.player.name} declined a rematch in room ${roomId}`);
+      socket.emit('returnToLobby');
+      socket.leave(roomChannel(roomId));
+      await announceRemoval(roomId, vote.removed);
+      return;
     }
+    console.log(`Player ${vote.player.name} wants a rematch in room ${roomId}`);
+    await announceRematch(roomId, vote.rematch);
   });
 
   // 2. Chat -----------------------------------------------
-  socket.on('chat', ({ roomId, message, name }) => {
-    io.to(roomId).emit('chat', { name, message });
+  // Messages go to a room (players and spectators) or, without a roomId, to
+  // the lobby. Answered like game actions: { ok: true } or { ok: false, code, message }.
+  onClientEvent(socket, 'joinLobby', ({ name }) => {
+    lobbyName = (typeof name === 'string' && name.trim().slice(0, 20)) || 'Guest';
+    if (socket.rooms.has(LOBBY_CHAT)) return; // Just a change of name
+    socket.join(LOBBY_CHAT);
+    socket.emit('chatHistory', { messages: lobbyChatHistory });
+  });
+
+  onClientEvent(socket, 'chat', async ({ roomId, message }, ack) => {
+    const { MAX_LENGTH, BURST, BURST_WINDOW } = GAME_CONFIG.CHAT;
+    const text = typeof message === 'string' ? message.trim() : '';
+    if (!text) return rejectAction(ack, 'EMPTY_MESSAGE');
+    if (text.length > MAX_LENGTH) return rejectAction(ack, 'MESSAGE_TOO_LONG');
+
+    const room = roomId ? await roomStore.get(roomId) : null;
+    let sender = null;
+    if (room) sender = getChatSender(room, socket.id);
+    else if (!roomId && lobbyName) sender = { name: lobbyName };
+    if (!sender) return rejectAction(ack, 'NOT_IN_ROOM');
+
+    // Flood protection: at most BURST messages per BURST_WINDOW
+    const now = Date.now();
+    recentChatTimes = recentChatTimes.filter(time => now - time < BURST_WINDOW);
+    if (recentChatTimes.length >= BURST) return rejectAction(ack, 'CHAT_FLOOD');
+    recentChatTimes.push(now);
+
+    const entry = { ...sender, message: text, time: now };
+    if (room) await roomStore.update(roomId, { chatHistory: addChatMessage(room.chatHistory, entry) });
+    else lobbyChatHistory = addChatMessage(lobbyChatHistory, entry); // Not saved
+    io.to(room ? roomChannel(roomId) : LOBBY_CHAT).emit('chat', entry);
+    ack({ ok: true });
   });
 
   // 3. Game actions ---------------------------------------
-  socket.on('playCards', ({ roomId, cards }) => {
-    const room = rooms[roomId];
-    if (!room || !room.gameState) return;
-    
-    // Find player's index by socket ID
-    const playerIndex = room.players.findIndex(p => p.id === socket.id);
-    if (playerIndex === -1) return;
-    
+  // Every action is answered through its acknowledgement: { ok: true }, or
+  // { ok: false, code, message } with one of the ACTION_ERRORS codes.
+  onClientEvent(socket, 'playCards', async ({ roomId, cards, stateVersion, actionId }, ack) => {
+    const room = await roomStore.get(roomId);
+    const gameState = room && getLiveRoom(roomId).gameState;
+    if (!gameState || room.status !== 'in-progress') return rejectAction(ack, 'GAME_NOT_RUNNING');
+
+    // Find player's index by socket ID (spectators have no seat and are refused)
+    const playerIndex = room.players.findIndex(p => p.socketId === socket.id);
+    if (playerIndex === -1) return rejectAction(ack, 'NOT_YOUR_TURN');
+    const respond = await guardAction(roomId, room.players[playerIndex], { stateVersion, actionId }, ack);
+    if (!respond) return;
+
     console.log(`Player ${playerIndex} (${room.players[playerIndex].name}) playing cards:`, cards);
-    
-    // Validate and apply move
-    if (room.gameState.playCards(playerIndex, cards)) {
-      console.log('Cards played successfully, broadcasting to all players in room', roomId);
-      console.log('Updated center cards:', room.gameState.centerCards);
-      console.log('Current player index:', room.gameState.currentPlayerIndex);
-      
-      // Broadcast updated game state to all players in the room
-      room.players.forEach(player => {
-        const gameStateUpdate = {
-          ...room.gameState.getState(),
-          yourHand: room.gameState.getPlayerHand(player.id),
-          yourIndex: player.index
-        };
-        console.log(`Sending to ${player.name} (${player.id}):`, {
-          centerCards: gameStateUpdate.centerCards,
-          currentPlayerIndex: gameStateUpdate.currentPlayerIndex,
-          handCount: gameStateUpdate.yourHand.length
-        });
-        // Send individual game state to each player with their specific hand
-        io.to(player.id).emit('gameState', gameStateUpdate);
-      });
-      
-      console.log(`Broadcasted game state to ${room.players.length} players in room ${roomId}`);
-    } else {
-      console.log('Invalid card play attempt by player', playerIndex);
+
+    // Validate, apply and announce the move
+    const error = gameState.checkPlay(gameState.players[playerIndex], cards);
+    if (error) {
+      console.log(`Invalid card play attempt by player ${playerIndex}: ${error}`);
+      return rejectAction(respond, error);
     }
+
+    respond({ ok: true });
+    await applyPlay(roomId, playerIndex, cards);
+    console.log('Cards played successfully, current player index:', gameState.currentPlayerIndex);
+
+    await handleHandOver(roomId);
   });
-  
-  socket.on('skipTurn', ({ roomId }) => {
-    const room = rooms[roomId];
-    if (!room || !room.gameState) return;
-    
-    const playerIndex = room.players.findIndex(p => p.id === socket.id);
-    if (playerIndex === -1 || playerIndex !== room.gameState.currentPlayerIndex) return;
-    
+
+  onClientEvent(socket, 'skipTurn', async ({ roomId, stateVersion, actionId }, ack) => {
+    const room = await roomStore.get(roomId);
+    const gameState = room && getLiveRoom(roomId).gameState;
+    if (!gameState || room.status !== 'in-progress' || gameState.gamePhase !== GAME_PHASES.PLAYING) {
+      return rejectAction(ack, 'GAME_NOT_RUNNING');
+    }
+
+    const playerIndex = room.players.findIndex(p => p.socketId === socket.id);
+    if (playerIndex === -1) return rejectAction(ack, 'NOT_YOUR_TURN');
+    const respond = await guardAction(roomId, room.players[playerIndex], { stateVersion, actionId }, ack);
+    if (!respond) return;
+    if (playerIndex !== gameState.currentPlayerIndex) return rejectAction(respond, 'NOT_YOUR_TURN');
+
     console.log(`Player ${playerIndex} (${room.players[playerIndex].name}) skipped turn`);
-    
-    room.gameState.skipTurn();
-    
-    // Broadcast updated game state
-    room.players.forEach(player => {
-      io.to(player.id).emit('gameState', {
-        ...room.gameState.getState(),
-        yourHand: room.gameState.getPlayerHand(player.id),
-        yourIndex: player.index
-      });
-    });
+
+    respond({ ok: true });
+    await applyPass(roomId, playerIndex);
   });
 
+  // Card exchange: Presidente/Vice choose which cards go back down
+  onClientEvent(socket, 'exchangeCards', async ({ roomId, cards, stateVersion, actionId }, ack) => {
+    const room = await roomStore.get(roomId);
+    const gameState = room && getLiveRoom(roomId).gameState;
+    if (!gameState || room.status !== 'in-progress') return rejectAction(ack, 'GAME_NOT_RUNNING');
+
+    const playerIndex = room.players.findIndex(p => p.socketId === socket.id);
+    if (playerIndex === -1) return rejectAction(ack, 'NOT_YOUR_TURN');
+    const respond = await guardAction(roomId, room.players[playerIndex], { stateVersion, actionId }, ack);
+    if (!respond) return;
+
+    const error = gameState.checkExchange(playerIndex, cards);
+    if (error) return rejectAction(respond, error);
+
+    gameState.exchangeCards(playerIndex, cards);
+    respond({ ok: true });
+    await broadcastGameState(roomId);
+  });
+
+  // A client that missed an event (its stateVersion jumped) asks for a
+  // full snapshot again
+  onClientEvent(socket, 'requestSync', async ({ roomId }) => {
+    const room = await roomStore.get(roomId);
+    const live = room && getLiveRoom(roomId);
+    if (!live || !live.gameState) return;
+
+    const player = room.players.find(p => p.socketId === socket.id);
+    if (player) {
+      sendGameState(roomId, room, player);
+    } else if (room.spectators.some(s => s.socketId === socket.id)) {
+      socket.emit('gameState', getSpectatorState(roomId, room));
+    } else {
+      return;
+    }
+    if (live.match) socket.emit('matchState', live.match.getState());
+  });
+
+  // Keep the seat (and hand) for a grace period so the player can come back.
+  // Spectators simply leave.
   socket.on('disconnecting', () => {
-    [...socket.rooms].forEach(r => {
-      if (rooms[r]) {
-        rooms[r].players = rooms[r].players.filter(p => p.id !== socket.id);
-        io.to(r).emit('playerList', rooms[r].players);
-      }
+    [...socket.rooms].filter(channel => channel.startsWith(ROOM_CHANNEL)).forEach(channel => {
+      const roomId = channel.slice(ROOM_CHANNEL.length);
+      rooms.disconnect(roomId, socket.id)
+        .then(left => {
+          if (!left) return;
+          holdSeat(roomId, left.player.id);
+          console.log(`Player ${left.player.name} disconnected from room ${roomId}, holding seat for ${GAME_CONFIG.RECONNECT_GRACE_PERIOD}ms`);
+          io.to(channel).emit('playerList', getPublicPlayers(left.room));
+        })
+        .catch(logFailure('disconnecting'));
     });
   });
 });
@@ -581,6 +1382,10 @@ io.on('connection', socket => {
    Launch
    ------------------------ */
 const PORT = process.env.PORT || 3000;
-httpServer.listen(PORT, () =>
-  console.log(`Server running at http://localhost:${PORT}`)
-);
\ No newline at end of file
+restoreRooms().then(() => {
+  // Restoring needn't write the rooms back; every change from here on does
+  roomStore.on('change', scheduleSave);
+  httpServer.listen(PORT, () =>
+    console.log(`Server running at http://localhost:${PORT}`)
+  );
+});
@@ -133,7 +133,8 @@ class GameUtils {
         return element.classList.contains('card_clubs') ||
                element.classList.contains('card_diamonds') ||
                element.classList.contains('card_hearts') ||
-               element.classList.contains('card_spades');
+               element.classList.contains('card_spades') ||
+               element.classList.contains('card_joker');
     }
 
     /**
@@ -198,8 +199,8 @@ class GameErrorHandler {
     static validateGameState(gameState) {
         if (!gameState) return false;
         if (!Array.isArray(gameState.players)) return false;
-        if (gameState.players.length !== 4) return false;
-        if (gameState.currentPlayerIndex < 0 || gameState.currentPlayerIndex >= 4) return false;
+        if (gameState.players.length < GAME_CONFIG.MIN_PLAYERS || gameState.players.length > GAME_CONFIG.MAX_PLAYERS) return false;
+        if (gameState.currentPlayerIndex < 0 || gameState.currentPlayerIndex >= gameState.players.length) return false;
         
         return true;
     }
@@ -2,125 +2,22 @@
 // DOMAIN MODELS
 // ============================================================================
 
-/**
- * Represents a playing card with suit, rank, and numeric value
- */
-class Card {
-    constructor(suit, rank, value) {
-        this.suit = suit;
-        this.rank = rank;
-        this.value = value;
-    }
-
-    /**
-     * Compares this card with another card
-     * @param {Card} otherCard - The card to compare against
-     * @returns {number} -1 if this card is lower, 0 if equal, 1 if higher
-     */
-    compareTo(otherCard) {
-        if (this.value < otherCard.value) return -1;
-        if (this.value > otherCard.value) return 1;
-        return 0;
-    }
-
-    /**
-     * Checks if this card can be played against the current highest card
-     * @param {Card|null} currentHighestCard - The current highest card on the table
-     * @returns {boolean} - True if the card can be played
-     */
-    canBePlayed(currentHighestCard) {
-        if (!currentHighestCard) return true;
-        return this.value > currentHighestCard.value;
-    }
-}
-
-/**
- * Represents a deck of playing cards
- */
-class Deck {
-    constructor() {
-        this.cards = [];
-    }
-
-    /**
-     * Creates a standard 52-card deck
-     */
-    createDeck() {
-        const suits = ['clubs', 'diamonds', 'hearts', 'spades'];
-        const ranks = ['3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A', '2'];
-        const values = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13];
-
-        this.cards = [];
-        for (const suit of suits) {
-            for (let i = 0; i < ranks.length; i++) {
-                this.cards.push(new Card(suit, ranks[i], values[i]));
-            }
-        }
-    }
-
-    /**
-     * Shuffles the deck using Fisher-Yates algorithm
-     */
-    shuffle() {
-        for (let i = this.cards.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [this.cards[i], this.cards[j]] = [this.cards[j], this.cards[i]];
-        }
-    }
-
-    /**
-     * Deals cards to players
-     * @param {number} numberOfPlayers - Number of players to deal to
-     * @param {number} cardsPerPlayer - Number of cards per player
-     * @returns {Array<Array<Card>>} - Array of player hands
-     */
-    dealCards(numberOfPlayers, cardsPerPlayer) {
-        const hands = [];
-        for (let i = 0; i < numberOfPlayers; i++) {
-            const startIndex = i * cardsPerPlayer;
-            const endIndex = startIndex + cardsPerPlayer;
-            hands.push(this.cards.slice(startIndex, endIndex));
-        }
-        return hands;
-    }
-}
+// Card, the deck and the game rules live in shared/rules.js, which the
+// server runs as well. This file only adds what the browser needs.
 
 /**
  * Represents a player in the game
  */
 class Player {
-    constructor(name, id) {
+    constructor(name, id, index) {
         this.name = name;
         this.id = id;
+        this.index = index;
         this.hand = [];
         this.isWinner = false;
         this.finishPosition = null; // Track when player finishes (1st, 2nd, 3rd, 4th)
     }
 
-    /**
-     * Receives cards to their hand
-     * @param {Array<Card>} cards - Cards to receive
-     */
-    receiveCards(cards) {
-        this.hand = cards;
-    }
-
-    /**
-     * Plays a card from their hand
-     * @param {Card} card - The card to play
-     * @returns {Card|null} - The played card or null if not found
-     */
-    playCard(card) {
-        const cardIndex = this.hand.findIndex(c => 
-            c.suit === card.suit && c.rank === card.rank && c.value === card.value
-        );
-        
-        if (cardIndex !== -1) {
-            return this.hand.splice(cardIndex, 1)[0];
-        }
-        return null;
-    }
-
     /**
      * Checks if the player has any cards left
      * @returns {boolean} - True if player has no cards
@@ -128,15 +25,6 @@ class Player {
     hasNoCards() {
         return this.hand.length === 0;
     }
-
-    /**
-     * Marks the player as finished with a position
-     * @param {number} position - The finish position (1-4)
-     */
-    markAsFinished(position) {
-        this.isWinner = position === 1;
-        this.finishPosition = position;
-    }
 }
 
 // ============================================================================
@@ -144,318 +32,36 @@ class Player {
 // ============================================================================
 
 /**
- * Manages the game state and rules
+ * Local (hot-seat) game state: the shared rules engine plus the
+ * bookkeeping the browser UI relies on
  */
-class GameState {
+class LocalGameState extends GameState {
     constructor() {
-        this.players = [];
-        this.currentPlayerIndex = 0;
-        this.currentRound = 0;
-        this.currentHighestCard = null; // Keep for backward compatibility
-        this.currentHighestCards = []; // New: array of cards for multi-card plays
-        this.roundWinner = null;
-        this.gamePhase = 'waiting'; // waiting, playing, roundEnd, gameOver
-        this.zIndex = 1;
-        this.finishedPlayers = 0; // Track how many players have finished
-        this.gameWinner = null;
-        this.gameSecond = null;
-        this.gameThird = null;
-        this.gameLoser = null; // The Presidente (first to finish)
-
-    }
-
-    /**
-     * Initializes the game with players
-     * @param {Array<string>} playerNames - Array of player names
-     */
-    initializeGame(playerNames) {
-        this.players = playerNames.map((name, index) => new Player(name, index));
-        // Randomly select starting player for clockwise turn order
-        this.currentPlayerIndex = Math.floor(Math.random() * this.players.length);
-        this.currentRound = 0;
-        this.currentHighestCard = null;
-        this.currentHighestCards = [];
-        this.roundWinner = null;
-        this.gamePhase = 'playing';
+        super();
         this.zIndex = 1;
-        this.finishedPlayers = 0;
-        this.gameWinner = null;
-        this.gameSecond = null;
-        this.gameThird = null;
-        this.gameLoser = null;
-        this.gameThird = null;
-        this.gameLoser = null;
-        
-        // Log turn order for verification
-        this.logTurnOrder();
-    }
-
-    /**
-     * Gets the current player
-     * @returns {Player} - Current player
-     */
-    getCurrentPlayer() {
-        if (this.isWinner != 1)
-            return this.players[this.currentPlayerIndex];
-    }
-
-    /**
-     * Advances to the next player in clockwise order, skipping finished players
-     */
-    nextPlayer() {
-        const previousPlayerIndex = this.currentPlayerIndex;
-        let attempts = 0;
-        const maxAttempts = this.players.length;
-        
-        do {
-            this.currentPlayerIndex = (this.currentPlayerIndex + 1) % this.players.length;
-            attempts++;
-            
-            // Prevent infinite loop if all players are finished
-            if (attempts >= maxAttempts) {
-                break;
-            }
-        } while (this.players[this.currentPlayerIndex].hasNoCards());
-        
-        // Log turn progression for debugging
-        const previousPlayer = this.players[previousPlayerIndex];
-        const currentPlayer = this.getCurrentPlayer();
-        const positions = ['Bottom', 'Right', 'Top', 'Left'];
-        console.log(`Turn progression: ${previousPlayer.name} (${positions[previousPlayerIndex]}) → ${currentPlayer.name} (${positions[this.currentPlayerIndex]});`);
-
-        this.currentRound++;
-        
-        // Check if round is complete (all active players have played)
-        const activePlayers = this.players.filter(p => !p.hasNoCards()).length;
-        if (this.currentRound >= activePlayers) {
-            this.endRound();
-        }
-    }
-
-    /**
-     * Ends the current round and starts a new one
-     */
-    endRound() {
-        this.currentRound = 0;
-        this.currentHighestCard = null;
-        this.currentHighestCards = [];
-        
-        // Clear the center area when round ends
-        const centerArea = document.getElementById('centerArea');
-        if (centerArea) {
-            const playedCards = centerArea.querySelectorAll('.card-played');
-            playedCards.forEach(card => card.remove());
-        }
-        
-        if (this.roundWinner !== null) {
-            this.currentPlayerIndex = this.roundWinner;
-        }
-        
-        this.roundWinner = null;
-    }
-
-    /**
-     * Attempts to play a card
-     * @param {Player} player - The player attempting to play
-     * @param {Card} card - The card to play
-     * @returns {boolean} - True if the card was successfully played
-     */
-    playCard(player, card) {
-        if (player !== this.getCurrentPlayer()) {
-            return false;
-        }
-
-        if (!card.canBePlayed(this.currentHighestCard)) {
-            return false;
-        }
-
-        const playedCard = player.playCard(card);
-        if (!playedCard) {
-            return false;
-        }
-
-        this.currentHighestCard = playedCard;
-        this.roundWinner = player.id;
-        
-        // -------- Handle player finishing their hand --------
-        if (player.hasNoCards()) {
-            this.finishedPlayers++;
-            player.markAsFinished(this.finishedPlayers);
-
-            // Record player position variables based on order finished
-            switch (this.finishedPlayers) {
-                case 1:
-                    this.gameWinner = player; // Presidente
-                    break;
-                case 2:
-                    this.gameSecond = player; // Vice
-                    break;
-                case 3:
-                    this.gameThird = player; // Sobre
-                    break;
-                case 4:
-                    this.gameLoser = player; // Cu (last)
-                    break;
-            }
-
-            // Only end the game when every player has finished
-            if (this.finishedPlayers >= this.players.length) {
-                this.gamePhase = 'gameOver';
-            } else {
-                // Clear the table so the next active player starts fresh
-                this.currentHighestCard = null;
-                this.currentHighestCards = [];
-            }
-        }
-        
-        this.nextPlayer();
-        
-        return true;
-    }
-
-    /**
-     * Checks if multiple cards can be played
-     * @param {Player} player - The player attempting to play
-     * @param {Array<Card>} cards - The cards to play
-     * @returns {boolean} - True if the cards can be played
-     */
-    canPlayCards(player, cards) {
-        if (player !== this.getCurrentPlayer()) {
-            return false;
-        }
-
-        if (!cards || cards.length === 0) {
-            return false;
-        }
-
-        // All cards must have the same value
-        const firstCardValue = cards[0].value;
-        if (!cards.every(card => card.value === firstCardValue)) {
-            return false;
-        }
-
-        // If no cards have been played yet, any cards can be played
-        if (!this.currentHighestCards || this.currentHighestCards.length === 0) {
-            return true;
-        }
-
-        // Must play the same number of cards as the current highest
-        if (cards.length !== this.currentHighestCards.length) {
-            return false;
-        }
-
-        // The value must be higher than the current highest cards
-        const currentHighestValue = this.currentHighestCards[0].value;
-        return firstCardValue > currentHighestValue;
     }
 
     /**
-     * Attempts to play multiple cards
-     * @param {Player} player - The player attempting to play
-     * @param {Array<Card>} cards - The cards to play
-     * @returns {boolean} - True if the cards were successfully played
+     * Uses Player instances so the UI can query hands directly
+     * @param {Object} player - Seated player ({ id, name })
+     * @param {number} index - Seat index
+     * @returns {Player}
      */
-    playCards(player, cards) {
-        if (!this.canPlayCards(player, cards)) {
-            return false;
-        }
-
-        // Remove cards from player's hand
-        const playedCards = [];
-        for (const card of cards) {
-            const playedCard = player.playCard(card);
-            if (playedCard) {
-                playedCards.push(playedCard);
-            } else {
-                // If we can't play a card, put back the ones we already removed
-                playedCards.forEach(pc => player.hand.push(pc));
-                return false;
-            }
-        }
-
-        // Update game state
-        this.currentHighestCards = playedCards;
-        this.currentHighestCard = playedCards[0]; // Keep for backward compatibility
-        this.roundWinner = player.id;
-        
-        // -------- Handle player finishing their hand --------
-        if (player.hasNoCards()) {
-            this.finishedPlayers++;
-            player.markAsFinished(this.finishedPlayers);
-
-            // Record player position variables based on order finished
-            switch (this.finishedPlayers) {
-                case 1:
-                    this.gameWinner = player; // Presidente
-                    break;
-                case 2:
-                    this.gameSecond = player; // Vice
-                    break;
-                case 3:
-                    this.gameThird = player; // Sobre
-                    break;
-                case 4:
-                    this.gameLoser = player; // Cu (last)
-                    break;
-            }
-
-            // Only end the game when every player has finished
-            if (this.finishedPlayers >= this.players.length) {
-                this.gamePhase = 'gameOver';
-            } else {
-                // Clear the table so the next active player starts fresh
-                this.currentHighestCard = null;
-                this.currentHighestCards = [];
-            }
-        }
-        
-        this.nextPlayer();
-        
-        return true;
+    createPlayer(player, index) {
+        return new Player(player.name, player.id, index);
     }
 
     /**
-     * Skips the current player's turn
-     */
-    skipTurn() {
-        this.nextPlayer();
-    }
-
-    /**
-     * Checks if there's a winner (at least one player finished) but game continues
-     * @returns {boolean} - True if there's a winner but game continues
-     */
-    hasWinner() {
-        const finishedPlayers = this.players.filter(player => player.hasNoCards());
-        const playersWithCards = this.players.filter(player => !player.hasNoCards());
-        return finishedPlayers.length > 0 && playersWithCards.length > 1;
-    }
-
-    /**
-     * Checks if the game is over (all positions determined - only 1 or 0 players remain)
-     * @returns {boolean} - True if game is over
-     */
-    isGameOver() {
-        const playersWithCards = this.players.filter(player => !player.hasNoCards());
-        return playersWithCards.length <= 1;
-    }
-
-    /**
-     * Gets the game winner (Presidente)
-     * @returns {Player|null} - The winning player or null
+     * Seats the players and deals a new hand
+     * @param {Array<string>} playerNames - Array of player names
+     * @param {Object} [options] - Deal options (e.g. previousStandings)
      */
-    getGameWinner() {
-        return this.gameWinner;
-    }
+    initializeGame(playerNames, options = {}) {
+        this.deal(playerNames.map((name, index) => ({ id: index, name })), options);
+        this.zIndex = 1;
 
-    /**
-     * Gets the ranking of players
-     * @returns {Array<Player>} - Players sorted by finish position
-     */
-    getPlayerRanking() {
-        return this.players
-            .filter(p => p.finishPosition !== null)
-            .sort((a, b) => a.finishPosition - b.finishPosition);
+        // Log turn order for verification
+        this.logTurnOrder();
     }
 
     /**
@@ -464,28 +70,18 @@ class GameState {
      */
     resetGameState() {
         console.log('Resetting game state to initial values...');
-        
-        // Reset all players
-        this.players.forEach(player => {
+        const players = this.players;
+        this.reset();
+
+        // Keep the seats so names stay on the board until the next deal
+        players.forEach(player => {
             player.hand = [];
             player.isWinner = false;
             player.finishPosition = null;
         });
-        
-        // Reset game state variables
-        this.currentPlayerIndex = 0;
-        this.currentRound = 0;
-        this.currentHighestCard = null;
-        this.currentHighestCards = [];
-        this.roundWinner = null;
-        this.gamePhase = 'waiting';
+        this.players = players;
         this.zIndex = 1;
-        this.finishedPlayers = 0;
-        this.gameWinner = null;
-        this.gameSecond = null;
-        this.gameThird = null;
-        this.gameLoser = null;
-        
+
         console.log('Game state reset completed');
     }
 
@@ -770,9 +366,11 @@ class NotificationManager {
         toast.innerHTML = `
             <div class="toast-content">
                 <i class="toast-icon ${icon}"></i>
-                <div class="toast-text">${message}</div>
+                <div class="toast-text"></div>
             </div>
         `;
+        // Messages carry player and file names, so they go in as text
+        toast.querySelector('.toast-text').textContent = message;
 
         this.toastContainer.appendChild(toast);
 
@@ -918,15 +516,54 @@ class NotificationManager {
         this.showToast(`${playerName} played ${cardRank}`, 'success', 2000);
     }
 
+    /**
+     * Announces the card exchange that opens a new hand
+     */
+    showExchangeStartMessage() {
+        this.showNotification(
+            'Card Exchange',
+            'The Cu and Sobre handed over their best cards. Presidente and Vice, choose the cards to give back.',
+            'info',
+            4000
+        );
+    }
+
+    /**
+     * Shows a completed exchange
+     * @param {string} giverName - Name of the player giving cards back
+     * @param {string} receiverName - Name of the player receiving them
+     * @param {number} count - Number of cards given
+     */
+    showExchangeMessage(giverName, receiverName, count) {
+        this.showToast(`${giverName} gave ${count} card${count === 1 ? '' : 's'} to ${receiverName}`, 'info', 2500);
+    }
+
+    /**
+     * Shows that a revolution started or ended
+     * @param {string} playerName - Name of the player who played four of a kind
+     * @param {boolean} active - Whether the rank order is now inverted
+     */
+    showRevolutionMessage(playerName, active) {
+        this.showNotification(
+            active ? 'Revolution!' : 'Counter-revolution!',
+            active
+                ? `${playerName} played four of a kind. 3s are now high and 2s low until the hand ends.`
+                : `${playerName} played four of a kind. The normal rank order is back.`,
+            'warning',
+            3000
+        );
+    }
+
     /**
      * Shows player finished message
      * @param {string} playerName - Name of the player who finished
-     * @param {number} position - Finish position (1-4)
+     * @param {number} position - Finish position (1-8)
+     * @param {number} playerCount - Players in the hand
      */
-    showPlayerFinishedMessage(playerName, position) {
-        const positionText = position === 1 ? '1st (Presidente!)' : 
-                           position === 2 ? '2nd (Vice)' : 
-                           position === 3 ? '3rd (Sobre)' : '4th (CU!)';
+    showPlayerFinishedMessage(playerName, position, playerCount) {
+        const ordinal = ['', '1st', '2nd', '3rd'][position] || `${position}th`;
+        const title = getTitle(position, playerCount);
+        const positionText = title ? `${ordinal} (${title}!)` : ordinal;
         
         this.showNotification(
             'Player Finished!',
@@ -948,8 +585,9 @@ class UIManager {
     constructor(gameController) {
         this.gameController = gameController;
         this.deckElements = {};
+        this.seatCount = 0;
         this.notificationManager = new NotificationManager();
-        this.initializeDeckElements();
+        this.renderSeats(GAME_CONFIG.DEFAULT_PLAYERS);
 
         // Initial mobile layout setup
         this.updateMobileLayout();
@@ -960,12 +598,40 @@ class UIManager {
     }
 
     /**
-     * Initializes references to deck DOM elements
+     * Builds one player area per seat around the table and keeps
+     * references to their deck elements
+     * @param {number} count - Number of seats (2-8)
      */
-    initializeDeckElements() {
-        for (let i = 1; i <= 4; i++) {
-            this.deckElements[i] = document.getElementById(`deck${i}`);
+    renderSeats(count) {
+        if (count === this.seatCount) return;
+        const board = document.querySelector('.game-board');
+        if (!board) return;
+
+        board.querySelectorAll('.player-area').forEach(area => area.remove());
+        // More than four seats switches to the ring layout
+        board.classList.toggle('seats-many', count > 4);
+
+        const centerArea = document.getElementById('centerArea');
+        this.deckElements = {};
+        for (let i = 1; i <= count; i++) {
+            const area = document.createElement('div');
+            area.className = `player-area player${i}-area`;
+            area.innerHTML = `
+                <div class="player-info">
+                    <div class="player-avatar player${i}-avatar">
+                        <i class="fas fa-user"></i>
+                    </div>
+                    <div class="player-details">
+                        <h3 id="player${i}Name">Player ${i}</h3>
+                        <span class="card-count" id="player${i}Count">0 cards</span>
+                    </div>
+                </div>
+                <div class="deck-container" id="deck${i}"></div>
+            `;
+            board.insertBefore(area, centerArea);
+            this.deckElements[i] = area.querySelector('.deck-container');
         }
+        this.seatCount = count;
     }
 
     /**
@@ -976,6 +642,45 @@ class UIManager {
         players.forEach((player, index) => {
             this.renderPlayerHand(player, index + 1);
         });
+        this.updateRevolutionIndicator();
+    }
+
+    /**
+     * Shows a countdown on the active seat until the server's turn deadline
+     * @param {number} playerIndex - Seat whose turn it is
+     * @param {number|null} deadline - Server time (ms) the turn runs out
+     * @param {number} clockOffset - Server clock minus local clock (ms)
+     */
+    updateTurnTimer(playerIndex, deadline, clockOffset = 0) {
+        clearInterval(this.turnTimerInterval);
+        document.querySelectorAll('.turn-timer').forEach(el => el.remove());
+        if (!deadline) return;
+
+        const details = document.querySelector(`.player${playerIndex + 1}-area .player-details`);
+        if (!details) return;
+
+        const timer = document.createElement('span');
+        timer.className = 'turn-timer';
+        details.appendChild(timer);
+
+        const tick = () => {
+            const seconds = Math.max(0, Math.ceil((deadline - (Date.now() + clockOffset)) / 1000));
+            timer.innerHTML = `<i class="fas fa-hourglass-half"></i> ${seconds}s`;
+            timer.classList.toggle('urgent', seconds <= 5);
+            if (seconds === 0) clearInterval(this.turnTimerInterval);
+        };
+        tick();
+        this.turnTimerInterval = setInterval(tick, 250);
+    }
+
+    /**
+     * Shows or hides the revolution indicator in the header
+     */
+    updateRevolutionIndicator() {
+        const indicator = document.getElementById('revolutionIndicator');
+        if (indicator) {
+            indicator.hidden = !this.gameController?.gameState?.revolution;
+        }
     }
 
     /**
@@ -996,7 +701,7 @@ class UIManager {
         }
         // Mobile: show only active player
         const currentIndex = this.gameController?.gameState?.currentPlayerIndex || 0;
-        for (let i = 1; i <= 4; i++) {
+        for (let i = 1; i <= this.seatCount; i++) {
             const area = document.querySelector(`.player${i}-area`);
             if (!area) continue;
             if (i - 1 === currentIndex) {
@@ -1041,7 +746,7 @@ class UIManager {
     /**
      * Renders a single player's hand
      * @param {Player} player - The player whose hand to render
-     * @param {number} deckNumber - The deck element number (1-4)
+     * @param {number} deckNumber - The deck element number (1-8)
      */
     renderPlayerHand(player, deckNumber) {
         const deckElement = this.deckElements[deckNumber];
@@ -1050,7 +755,10 @@ class UIManager {
 
         // In multiplayer mode, check if this is the current user's hand
         let shouldShowRealCards = false;
-        if (this.gameController?.isMultiplayer) {
+        if (this.gameController?.showAllHands) {
+            // Replays show every hand face up
+            shouldShowRealCards = true;
+        } else if (this.gameController?.isMultiplayer) {
             // Show real cards if this is the current user's hand (based on myPlayerIndex)
             shouldShowRealCards = (this.gameController.myPlayerIndex === (deckNumber - 1));
             console.log(`Player ${deckNumber}: myPlayerIndex=${this.gameController.myPlayerIndex}, deckNumber-1=${deckNumber-1}, shouldShowRealCards=${shouldShowRealCards}`);
@@ -1073,7 +781,10 @@ class UIManager {
         
         console.log(`Rendering ${player.hand.length} real cards for player ${deckNumber}`);
 
-        const sortedHand = player.hand.sort((a, b) => a.value - b.value);
+        // Weakest cards first, in the rank order currently in force; jokers always last
+        const direction = this.gameController?.gameState?.revolution ? -1 : 1;
+        const sortedHand = player.hand.sort((a, b) =>
+            (isJoker(a) - isJoker(b)) || direction * (a.value - b.value));
         let lastValue = null;
 
         sortedHand.forEach(card => {
@@ -1112,13 +823,13 @@ class UIManager {
      */
     /**
      * Converts server card value to display rank
-     * @param {number} value - Card value from server (3-15)
-     * @returns {string} - Display rank (3-10, J, Q, K, A, 2)
+     * @param {number} value - Card value from server (3-16)
+     * @returns {string} - Display rank (3-10, J, Q, K, A, 2, Joker)
      */
     getCardRankFromValue(value) {
         const rankMap = {
             3: '3', 4: '4', 5: '5', 6: '6', 7: '7', 8: '8', 9: '9', 10: '10',
-            11: 'J', 12: 'Q', 13: 'K', 14: 'A', 15: '2'
+            11: 'J', 12: 'Q', 13: 'K', 14: 'A', 15: '2', 16: 'Joker'
         };
         return rankMap[value] || value.toString();
     }
@@ -1131,9 +842,15 @@ class UIManager {
         const rank = this.getCardRankFromValue(card.value);
         
         const cardElement = document.createElement('div');
-        cardElement.className = `card_${card.suit}`;
         cardElement.id = `card_${rank}${card.suit}_player${playerId}`;
-        cardElement.innerHTML = rank;
+        if (isJoker(card)) {
+            // Jokers have no suit symbol; the red and black ones differ in colour only
+            cardElement.className = `card_joker joker_${card.suit}`;
+            cardElement.innerHTML = '<i class="fas fa-star"></i><span class="joker-label">Joker</span>';
+        } else {
+            cardElement.className = `card_${card.suit}`;
+            cardElement.innerHTML = rank;
+        }
         cardElement.setAttribute('data-value', card.value);
         cardElement.setAttribute('data-player-id', playerId);
         cardElement.setAttribute('data-suit', card.suit);
@@ -1171,7 +888,7 @@ class UIManager {
         // If on mobile, refresh layout first
         this.updateMobileLayout();
         // Remove highlight from all player areas
-        for (let i = 1; i <= 4; i++) {
+        for (let i = 1; i <= this.seatCount; i++) {
             const area = document.querySelector(`.player${i}-area`);
             if (area) area.classList.remove('active-player');
         }
@@ -1190,7 +907,7 @@ class UIManager {
         // Remove action buttons from all player areas
         document.querySelectorAll('.player-area .action-buttons').forEach(el => el.remove());
         // Remove highlight from all player areas
-        for (let i = 1; i <= 4; i++) {
+        for (let i = 1; i <= this.seatCount; i++) {
             const area = document.querySelector(`.player${i}-area`);
             if (area) area.classList.remove('active-player');
         }
@@ -1198,24 +915,33 @@ class UIManager {
         if (!area) return;
         // Always highlight active player area
         area.classList.add('active-player');
+        // Spectators watch; they never get controls
+        if (this.gameController?.isSpectator) return;
         // Create action button container
         const actionDiv = document.createElement('div');
         actionDiv.className = 'action-buttons';
-        // Play Hand button
+        const isExchanging = this.gameController?.gameState?.gamePhase === 'exchanging';
+        // Play Hand button (Give Cards during the exchange)
         const playBtn = document.createElement('button');
         playBtn.className = 'play-hand-btn';
-        playBtn.id = 'playHandBtn';
-        playBtn.innerHTML = `<i class="fas fa-play"></i> Play Hand`;
+        playBtn.id = isExchanging ? 'giveCardsBtn' : 'playHandBtn';
+        playBtn.innerHTML = isExchanging
+            ? `<i class="fas fa-exchange-alt"></i> Give Cards`
+            : `<i class="fas fa-play"></i> Play Hand`;
         playBtn.style.display = 'none'; // Only show if cards selected
-        playBtn.onclick = () => window.gameController.playSelectedCards();
+        playBtn.onclick = isExchanging
+            ? () => window.gameController.giveSelectedCards()
+            : () => window.gameController.playSelectedCards();
         actionDiv.appendChild(playBtn);
-        // Skip Turn button
-        const skipBtn = document.createElement('button');
-        skipBtn.className = 'skip-turn-btn';
-        skipBtn.id = 'passarRodada';
-        skipBtn.innerHTML = `<i class="fas fa-forward"></i> Skip Turn`;
-        skipBtn.onclick = () => window.gameController.skipCurrentTurn();
-        actionDiv.appendChild(skipBtn);
+        // Skip Turn button (nobody passes during the exchange)
+        if (!isExchanging) {
+            const skipBtn = document.createElement('button');
+            skipBtn.className = 'skip-turn-btn';
+            skipBtn.id = 'passarRodada';
+            skipBtn.innerHTML = `<i class="fas fa-forward"></i> Skip Turn`;
+            skipBtn.onclick = () => window.gameController.skipCurrentTurn();
+            actionDiv.appendChild(skipBtn);
+        }
         // Insert after player info
         const playerInfo = area.querySelector('.player-info');
         if (playerInfo) {
@@ -1230,7 +956,7 @@ class UIManager {
             playBtn.style.display = 'none';
         }
         // Prevent other players from interacting with their cards
-        for (let i = 1; i <= 4; i++) {
+        for (let i = 1; i <= this.seatCount; i++) {
             const deck = document.getElementById(`deck${i}`);
             if (deck) {
                 if ((i-1) !== playerIndex) {
@@ -1327,6 +1053,16 @@ class UIManager {
         currentHighest.forEach(card => card.classList.remove('current-highest'));
     }
 
+    /**
+     * Removes every played card from the center area once a trick ends
+     */
+    clearPlayedCards() {
+        const centerArea = document.getElementById('centerArea');
+        if (!centerArea) return;
+
+        centerArea.querySelectorAll('.card-played').forEach(card => card.remove());
+    }
+
     /**
      * Updates the turn display
      * @param {number} playerIndex - Current player index
@@ -1334,8 +1070,13 @@ class UIManager {
     updateTurnDisplay(playerIndex) {
         const turnDisplay = document.getElementById('numerorodada');
         if (turnDisplay) {
-            const currentPlayer = this.gameController?.gameState?.players[playerIndex];
-            if (currentPlayer) {
+            const gameState = this.gameController?.gameState;
+            const currentPlayer = gameState?.players[playerIndex];
+            const exchange = gameState?.gamePhase === 'exchanging' && gameState.getPendingExchange(playerIndex);
+            if (currentPlayer && exchange) {
+                const receiver = gameState.players[exchange.fromIndex];
+                turnDisplay.textContent = `Card exchange: ${currentPlayer.name} gives ${exchange.count} to ${receiver.name}`;
+            } else if (currentPlayer) {
                 turnDisplay.innerHTML = `${currentPlayer.name}'s turn`;
             } else {
                 turnDisplay.innerHTML = `${playerIndex + 1}o turno`;
@@ -1364,6 +1105,37 @@ class UIManager {
         }
     }
 
+    /**
+     * Renders the running match standings in the header
+     * @param {Object} matchState - Match summary from the server
+     */
+    renderMatchState(matchState) {
+        const container = document.getElementById('matchStandings');
+        const progress = document.getElementById('matchProgress');
+        const rows = document.getElementById('matchRows');
+        if (!container || !progress || !rows) return;
+
+        container.hidden = false;
+        progress.textContent = matchState.status === 'finished'
+            ? `Match over after ${matchState.handsPlayed} hands`
+            : `Hand ${matchState.handNumber}/${matchState.maxHands} · first to ${matchState.targetScore}`;
+
+        rows.innerHTML = '';
+        matchState.standings.forEach((standing, index) => {
+            const row = document.createElement('div');
+            row.className = `match-row ${index === 0 && standing.score > 0 ? 'leader' : ''}`;
+            const fields = [['match-name', standing.name], ['match-score', standing.score]];
+            if (standing.title) fields.push(['match-title', standing.title]);
+            fields.forEach(([className, text]) => {
+                const span = document.createElement('span');
+                span.className = className;
+                span.textContent = text;
+                row.appendChild(span);
+            });
+            rows.appendChild(row);
+        });
+    }
+
     /**
      * Clears the center area of played cards
      */
@@ -1387,7 +1159,7 @@ class UIManager {
         console.log('Resetting UI to initial state...');
         
         // Clear all deck containers
-        for (let i = 1; i <= 4; i++) {
+        for (let i = 1; i <= this.seatCount; i++) {
             const deckElement = this.deckElements[i];
             if (deckElement) {
                 deckElement.innerHTML = '';
@@ -1400,7 +1172,7 @@ class UIManager {
         });
         
         // Reset card counts to default
-        for (let i = 1; i <= 4; i++) {
+        for (let i = 1; i <= this.seatCount; i++) {
             const countElement = document.getElementById(`player${i}Count`);
             if (countElement) {
                 countElement.textContent = '13 cards';
@@ -1424,6 +1196,11 @@ class UIManager {
             turnDisplay.innerHTML = 'Waiting for players...';
         }
         
+        const revolutionIndicator = document.getElementById('revolutionIndicator');
+        if (revolutionIndicator) {
+            revolutionIndicator.hidden = true;
+        }
+        
         // Hide any active notifications
         this.notificationManager.hideNotification();
         
@@ -1452,15 +1229,16 @@ class UIManager {
  */
 class GameController {
     constructor() {
-        this.gameState = new GameState();
+        this.gameState = new LocalGameState();
         this.uiManager = new UIManager(this); // Pass the game controller instance
-        this.deck = new Deck();
         this.notificationManager = this.uiManager.notificationManager;
         this.scoreManager = new ScoreManager();
         // Flag to ensure a game's results are recorded only once
         this.gameResultRecorded = false;
         this.selectedCards = []; // Track selected cards
         this.selectedCardValue = null; // Track the value of selected cards
+        this.stateVersion = 0; // Latest multiplayer gameState applied
+        this.actionPending = false; // A multiplayer action awaits the server's answer
         this.setupEventListeners();
         this.initializeGame();
     }
@@ -1560,6 +1338,9 @@ class GameController {
      * @param {Array<string>} playerNames - Array of player names
      */
     startNewGameWithNames(playerNames) {
+        // Titles from a finished hand carry over into the card exchange
+        const previousStandings = this.getPreviousStandings(playerNames);
+
         // Reset flag for new game
         this.gameResultRecorded = false;
         this.showLoading(true);
@@ -1574,16 +1355,13 @@ class GameController {
         this.gameState.resetGameState();
         
         setTimeout(() => {
-            this.gameState.initializeGame(playerNames);
-            this.deck.createDeck();
-            this.deck.shuffle();
-            
-            const hands = this.deck.dealCards(4, 13);
-            
-            this.gameState.players.forEach((player, index) => {
-                player.receiveCards(hands[index]);
+            this.gameState.initializeGame(playerNames, {
+                ruleset: sessionStorage.getItem('presidenteRuleset'),
+                jokers: sessionStorage.getItem('presidenteJokers') === 'true',
+                previousStandings
             });
             
+            this.uiManager.renderSeats(playerNames.length);
             this.updatePlayerNames(playerNames);
             this.uiManager.renderPlayerHands(this.gameState.players);
             this.uiManager.highlightCurrentPlayer(this.gameState.currentPlayerIndex);
@@ -1594,6 +1372,11 @@ class GameController {
             // Update score table with current players
             this.scoreManager.updateCurrentPlayers(playerNames);
             
+            if (this.gameState.gamePhase === 'exchanging') {
+                this.notificationManager.showExchangeStartMessage();
+                return;
+            }
+
             // Show welcome message for randomly selected starting player
             const firstPlayer = this.gameState.getCurrentPlayer();
             console.log(`Game started! Random starting player: ${firstPlayer.name} (Player ${this.gameState.currentPlayerIndex + 1})`);
@@ -1603,6 +1386,31 @@ class GameController {
         }, 1000);
     }
 
+    /**
+     * Clears the seats, so the next multiplayer game state sets the table
+     * up again from scratch (e.g. when a rematch starts)
+     */
+    clearTable() {
+        this.gameState = new LocalGameState();
+        this.clearCardSelection();
+    }
+
+    /**
+     * Gets the finishing order of the hand that just ended, if the same
+     * players are sitting down again
+     * @param {Array<string>} playerNames - Names for the new hand
+     * @returns {Array<number>|null} - Player ids, Presidente first
+     */
+    getPreviousStandings(playerNames) {
+        const players = this.gameState.players;
+        if (this.isMultiplayer || !this.gameResultRecorded) return null;
+        if (players.length !== playerNames.length || players.some((p, i) => p.name !== playerNames[i])) {
+            return null;
+        }
+
+        return this.gameState.getStandings();
+    }
+
     /**
      * Update player names in the UI
      * @param {Array<string>} playerNames - Array of player names
@@ -1660,6 +1468,11 @@ class GameController {
             cardClasses: cardElement.className
         });
 
+        if (this.gameState.gamePhase === 'exchanging') {
+            this.handleExchangeCardClick(playerIndex, cardElement);
+            return;
+        }
+
         if (this.gameState.currentPlayerIndex !== playerIndex) {
             console.log('Not current player\'s turn');
             this.notificationManager.showToast('Not your turn!', 'warning', 2000);
@@ -1702,8 +1515,13 @@ class GameController {
      * @param {string} cardRank - The card rank
      */
     selectCard(cardElement, cardId, cardValue, cardRank) {
-        // If no cards selected yet, or same value as already selected cards
-        if (this.selectedCards.length === 0 || this.selectedCardValue === cardValue) {
+        // Jokers join any set; other cards must match the value already selected,
+        // unless runs are allowed and the player may be building one
+        const matchesSet = this.selectedCards.length === 0 ||
+            isJoker({ value: cardValue }) ||
+            isJoker({ value: this.selectedCardValue }) ||
+            this.selectedCardValue === cardValue;
+        if (matchesSet || this.gameState.ruleset.allowRuns) {
             cardElement.classList.add('selected');
             this.selectedCards.push({
                 element: cardElement,
@@ -1712,7 +1530,7 @@ class GameController {
                 rank: cardRank,
                 suit: cardElement.getAttribute('data-suit')
             });
-            this.selectedCardValue = cardValue;
+            this.selectedCardValue = getPlayValue(this.selectedCards);
             
             console.log('Card selected:', cardId, 'Total selected:', this.selectedCards.length);
         } else {
@@ -1725,6 +1543,46 @@ class GameController {
         }
     }
 
+    /**
+     * Handles card selection while choosing cards to give in the exchange
+     * @param {number} playerIndex - The player index (0-3)
+     * @param {HTMLElement} cardElement - The clicked card element
+     */
+    handleExchangeCardClick(playerIndex, cardElement) {
+        const exchange = this.gameState.getPendingExchange(playerIndex);
+        if (!exchange) {
+            this.notificationManager.showToast('You have no cards to give', 'warning', 2000);
+            return;
+        }
+
+        const cardValue = parseInt(cardElement.getAttribute('data-value'));
+        const cardSuit = cardElement.getAttribute('data-suit');
+        const cardRank = cardElement.getAttribute('data-rank');
+        const cardId = `${cardRank}${cardSuit}`;
+
+        if (cardElement.classList.contains('selected')) {
+            this.deselectCard(cardElement, cardId);
+        } else if (this.selectedCards.length >= exchange.count) {
+            this.notificationManager.showToast(
+                `You give exactly ${exchange.count} card${exchange.count === 1 ? '' : 's'}`,
+                'warning',
+                2000
+            );
+        } else {
+            // Any cards may be given back, regardless of value
+            cardElement.classList.add('selected');
+            this.selectedCards.push({
+                element: cardElement,
+                id: cardId,
+                value: cardValue,
+                rank: cardRank,
+                suit: cardSuit
+            });
+        }
+
+        this.updatePlayHandButton();
+    }
+
     /**
      * Deselects a card
      * @param {HTMLElement} cardElement - The card element
@@ -1732,12 +1590,11 @@ class GameController {
      */
     deselectCard(cardElement, cardId) {
         cardElement.classList.remove('selected');
-        this.selectedCards = this.selectedCards.filter(card => card.id !== cardId);
+        // Match on the element: two decks can put identical cards in one hand
+        this.selectedCards = this.selectedCards.filter(card => card.element !== cardElement);
         
-        // If no cards left selected, reset the selected value
-        if (this.selectedCards.length === 0) {
-            this.selectedCardValue = null;
-        }
+        // Recompute the set's value (a joker may be all that is left)
+        this.selectedCardValue = this.selectedCards.length > 0 ? getPlayValue(this.selectedCards) : null;
         
         console.log('Card deselected:', cardId, 'Total selected:', this.selectedCards.length);
     }
@@ -1750,15 +1607,35 @@ class GameController {
     getCardRankName(value) {
         const rankMap = {
             3: '3', 4: '4', 5: '5', 6: '6', 7: '7', 8: '8', 9: '9', 10: '10',
-            11: 'J', 12: 'Q', 13: 'K', 14: 'A', 15: '2'
+            11: 'J', 12: 'Q', 13: 'K', 14: 'A', 15: '2', 16: 'Joker'
         };
         return rankMap[value] || value.toString();
     }
 
+    /**
+     * Describes a play for buttons and messages
+     * @param {Object|null} play - Classified play (see GameState.classifyPlay)
+     * @returns {string} - e.g. "7", "7 x3" or "run 5-7"
+     */
+    describePlay(play) {
+        if (!play) return 'cards';
+        if (play.type === 'run') {
+            const low = this.getCardRankName(play.value - play.length + 1);
+            return `run ${low}-${this.getCardRankName(play.value)}`;
+        }
+        const countText = play.length === 1 ? '' : ` x${play.length}`;
+        return `${this.getCardRankName(play.value)}${countText}`;
+    }
+
     /**
      * Updates the visibility of the play hand button
      */
     updatePlayHandButton() {
+        if (this.gameState.gamePhase === 'exchanging') {
+            this.updateGiveCardsButton();
+            return;
+        }
+
         const playHandBtn = document.getElementById('playHandBtn');
         if (!playHandBtn) {
             // Create the play hand button if it doesn't exist
@@ -1768,11 +1645,10 @@ class GameController {
 
         if (this.selectedCards.length > 0) {
             playHandBtn.style.display = 'block';
-            const cardName = this.getCardRankName(this.selectedCardValue);
-            const countText = this.selectedCards.length === 1 ? '' : ` (${this.selectedCards.length})`;
+            const playName = this.describePlay(this.gameState.classifyPlay(this.selectedCards));
             playHandBtn.innerHTML = `
                 <i class="fas fa-play"></i>
-                Play ${cardName}${countText}
+                Play ${playName}
             `;
         } else {
             playHandBtn.style.display = 'none';
@@ -1781,6 +1657,70 @@ class GameController {
 
 
 
+    /**
+     * Updates the Give Cards button during the exchange phase
+     */
+    updateGiveCardsButton() {
+        const giveCardsBtn = document.getElementById('giveCardsBtn');
+        if (!giveCardsBtn) return;
+
+        if (this.selectedCards.length > 0) {
+            giveCardsBtn.style.display = 'block';
+            giveCardsBtn.innerHTML = `
+                <i class="fas fa-exchange-alt"></i>
+                Give ${this.selectedCards.map(card => card.rank).join(', ')}
+            `;
+        } else {
+            giveCardsBtn.style.display = 'none';
+        }
+    }
+
+    /**
+     * Gives the selected cards to the lower title during the exchange
+     */
+    giveSelectedCards() {
+        const giverIndex = this.isMultiplayer ? this.myPlayerIndex : this.gameState.currentPlayerIndex;
+        const exchange = this.gameState.getPendingExchange(giverIndex);
+        if (!exchange) return;
+
+        if (this.selectedCards.length !== exchange.count) {
+            this.notificationManager.showToast(
+                `Select ${exchange.count} card${exchange.count === 1 ? '' : 's'} to give`,
+                'warning',
+                2000
+            );
+            return;
+        }
+
+        const giver = this.gameState.players[giverIndex];
+        const receiver = this.gameState.players[exchange.fromIndex];
+        const cards = this.selectedCards.map(selectedCard =>
+            giver.hand.find(card => card.value === selectedCard.value && card.suit === selectedCard.suit)
+        ).filter(card => card !== undefined);
+
+        // In multiplayer mode the server validates and applies the exchange
+        if (this.isMultiplayer && window.multiplayerSocket) {
+            this.sendAction('exchangeCards', { cards }, () => this.clearCardSelection());
+            return;
+        }
+
+        if (!this.gameState.exchangeCards(giverIndex, cards)) {
+            this.notificationManager.showToast('Invalid exchange!', 'error', 2000);
+            return;
+        }
+
+        this.notificationManager.showExchangeMessage(giver.name, receiver.name, cards.length);
+        this.clearCardSelection();
+        this.uiManager.renderPlayerHands(this.gameState.players);
+        this.uiManager.highlightCurrentPlayer(this.gameState.currentPlayerIndex);
+        this.uiManager.updateTurnDisplay(this.gameState.currentPlayerIndex);
+
+        if (this.gameState.gamePhase === 'playing') {
+            const firstPlayer = this.gameState.getCurrentPlayer();
+            this.notificationManager.showTurnChangeMessage(firstPlayer.name);
+        }
+    }
+
     /**
      * Plays the selected cards
      */
@@ -1790,12 +1730,19 @@ class GameController {
             return;
         }
 
+        // In multiplayer mode the server judges the play and says why if it refuses
+        if (this.isMultiplayer && window.multiplayerSocket) {
+            const cards = this.selectedCards.map(({ suit, rank, value }) => ({ suit, rank, value }));
+            console.log('Sending playCards to server:', cards);
+            // Keep the selection after a refusal so it can be adjusted
+            this.sendAction('playCards', { cards }, () => this.clearCardSelection());
+            return;
+        }
+
         const currentPlayer = this.gameState.getCurrentPlayer();
-        const selectedCardObjects = this.selectedCards.map(selectedCard => {
-            return currentPlayer.hand.find(card => 
-                card.value === selectedCard.value && card.suit === selectedCard.suit
-            );
-        }).filter(card => card !== undefined);
+        // Each selection maps to its own card, even with identical cards from two decks
+        const selectedIndexes = findCardIndexes(currentPlayer.hand, this.selectedCards) || [];
+        const selectedCardObjects = selectedIndexes.map(index => currentPlayer.hand[index]);
         
         console.log('Selected cards from UI:', this.selectedCards);
         console.log('Player hand:', currentPlayer.hand);
@@ -1804,29 +1751,17 @@ class GameController {
 
         // Check if the play is valid
         if (this.gameState.canPlayCards(currentPlayer, selectedCardObjects)) {
-            
-            // In multiplayer mode, send action to server
-            if (this.isMultiplayer && window.multiplayerSocket) {
-                const roomId = sessionStorage.getItem('presidenteRoomId');
-                console.log('Sending playCards to server:', selectedCardObjects);
-                window.multiplayerSocket.emit('playCards', {
-                    roomId,
-                    cards: selectedCardObjects
-                });
-                
-                // Clear selection immediately (server will update game state)
-                this.clearCardSelection();
-                return;
-            }
-            
             // Single player mode - play the cards locally
-            if (this.gameState.playCards(currentPlayer, selectedCardObjects)) {
+            const wasRevolution = this.gameState.revolution;
+            if (this.gameState.playCards(currentPlayer.index, selectedCardObjects)) {
                 console.log('Cards played successfully');
                 
                 // Show cards played message
-                const cardName = this.getCardRankName(this.selectedCardValue);
-                const countText = this.selectedCards.length === 1 ? '' : ` x${this.selectedCards.length}`;
-                this.notificationManager.showCardPlayedMessage(currentPlayer.name, `${cardName}${countText}`);
+                if (this.gameState.revolution !== wasRevolution) {
+                    this.notificationManager.showRevolutionMessage(currentPlayer.name, this.gameState.revolution);
+                } else {
+                    this.notificationManager.showCardPlayedMessage(currentPlayer.name, this.describePlay(this.gameState.classifyPlay(selectedCardObjects)));
+                }
                 
                 // Move cards to center as the new highest play
                 const cardElements = this.selectedCards.map(card => card.element);
@@ -1841,7 +1776,7 @@ class GameController {
                 
                 // Check if player finished their cards
                 if (currentPlayer.hasNoCards()) {
-                    this.notificationManager.showPlayerFinishedMessage(currentPlayer.name, currentPlayer.finishPosition);
+                    this.notificationManager.showPlayerFinishedMessage(currentPlayer.name, currentPlayer.finishPosition, this.gameState.players.length);
                 }
                 
                 // Check if game is over (all positions determined)
@@ -1876,11 +1811,11 @@ class GameController {
             console.log('Cards could not be played');
             
             // Show invalid play message
-            const cardName = this.getCardRankName(this.selectedCardValue);
+            const playName = this.describePlay(this.gameState.classifyPlay(selectedCardObjects));
             if (this.gameState.currentHighestCards && this.gameState.currentHighestCards.length > 0) {
-                const currentCardName = this.getCardRankName(this.gameState.currentHighestCards[0].value);
+                const currentPlayName = this.describePlay(this.gameState.classifyPlay(this.gameState.currentHighestCards));
                 this.notificationManager.showToast(
-                    `Cannot play ${this.selectedCards.length} ${cardName}(s) over ${this.gameState.currentHighestCards.length} ${currentCardName}(s)`, 
+                    `Cannot play ${playName} over ${currentPlayName}`, 
                     'error', 
                     3000
                 );
@@ -1890,6 +1825,46 @@ class GameController {
         }
     }
 
+    /**
+     * Sends a multiplayer action, tagged with the stateVersion it was based on
+     * and a fresh action id. Only one action is in flight at a time, so a
+     * double click can't send the same move twice.
+     * @param {string} event - playCards, skipTurn or exchangeCards
+     * @param {Object} payload - The action's own fields
+     * @param {Function} [onAccepted] - Called once the server accepts it
+     */
+    sendAction(event, payload, onAccepted) {
+        if (this.actionPending) return;
+        this.actionPending = true;
+
+        const action = {
+            roomId: sessionStorage.getItem('presidenteRoomId'),
+            ...payload,
+            stateVersion: this.stateVersion,
+            actionId: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`
+        };
+        // Socket.IO resends buffered actions after a reconnect; the action id
+        // lets the server answer a repeat without applying it twice
+        window.multiplayerSocket.timeout(GAME_CONFIG.ACTION_TIMEOUT).emit(event, action, (err, response) => {
+            this.actionPending = false;
+            if (this.handleActionResponse(err ? null : response) && onAccepted) onAccepted();
+        });
+    }
+
+    /**
+     * Shows why the server refused a multiplayer action
+     * @param {Object} response - The acknowledgement: { ok } or { ok: false, code, message }
+     * @returns {boolean} - True if the action was accepted
+     */
+    handleActionResponse(response) {
+        if (response && response.ok) return true;
+
+        console.log('Action refused by server:', response && response.code);
+        const message = response ? response.message : 'No answer from the server';
+        this.notificationManager.showToast(message, 'error', 2500);
+        return false;
+    }
+
     /**
      * Clears all card selections
      */
@@ -1958,9 +1933,8 @@ class GameController {
     skipCurrentTurn() {
         // In multiplayer mode, send skip action to server
         if (this.isMultiplayer && window.multiplayerSocket) {
-            const roomId = sessionStorage.getItem('presidenteRoomId');
             console.log('Sending skipTurn to server');
-            window.multiplayerSocket.emit('skipTurn', { roomId });
+            this.sendAction('skipTurn', {});
             return;
         }
         
@@ -1974,6 +1948,11 @@ class GameController {
         
         this.gameState.skipTurn();
         
+        // Everyone passed: the trick is over and the table is cleared
+        if (this.gameState.currentHighestCards.length === 0) {
+            this.uiManager.clearPlayedCards();
+        }
+        
         // Show turn change message
         const nextPlayer = this.gameState.getCurrentPlayer();
         if (nextPlayer) {
@@ -2029,6 +2008,9 @@ function novoJogo(player1, player2, player3, player4) {
 // Initialize the game controller when the DOM is loaded
 let gameController;
 document.addEventListener('DOMContentLoaded', () => {
+    // The replay viewer (replay.html) uses the UI classes but plays no game
+    if (document.body.classList.contains('replay-page')) return;
+
     console.log('DOM loaded, initializing game controller...');
     try {
         gameController = new GameController();
@@ -2075,12 +2057,14 @@ window.initMultiplayerGame = function (gameState) {
     
     // Initialize the game state properly (this creates the Player objects)
     console.log('Initializing game state...');
+    gameController.uiManager.renderSeats(playerNames.length);
     gameController.gameState.initializeGame(playerNames);
     
     // Set up multiplayer mode
     console.log('Setting up multiplayer mode...');
     gameController.isMultiplayer = true;
     gameController.myPlayerIndex = gameState.yourIndex;
+    gameController.isSpectator = gameState.spectator === true;
     console.log('Set myPlayerIndex to:', gameController.myPlayerIndex);
     
     // Now apply the server game state
@@ -2090,12 +2074,20 @@ window.initMultiplayerGame = function (gameState) {
 window.updateMultiplayerGameState = function (gameState) {
     if (!window.gameController) return;
     
+    // Never step back to an older state that arrived late
+    if (gameState.stateVersion < gameController.stateVersion) {
+        console.log(`Ignoring out-of-order game state ${gameState.stateVersion} (have ${gameController.stateVersion})`);
+        return;
+    }
+    gameController.stateVersion = gameState.stateVersion;
+    
     console.log('Updating game state from server:', gameState);
     
     // Ensure we have players array initialized
     if (!gameController.gameState.players || gameController.gameState.players.length === 0) {
         console.log('Players not initialized, initializing now...');
         const playerNames = gameState.players.map(p => p.name);
+        gameController.uiManager.renderSeats(playerNames.length);
         gameController.gameState.initializeGame(playerNames);
     }
     
@@ -2106,6 +2098,8 @@ window.updateMultiplayerGameState = function (gameState) {
         const uiPlayer = gameController.gameState.players[index];
         if (uiPlayer) {
             uiPlayer.name = serverPlayer.name;
+            uiPlayer.finishPosition = serverPlayer.finishPosition;
+            uiPlayer.isWinner = serverPlayer.isWinner;
             console.log(`Player ${index} (${serverPlayer.name}): isYou=${index === gameState.yourIndex}, handCount=${serverPlayer.handCount}`);
             
             if (index === gameState.yourIndex) {
@@ -2122,8 +2116,27 @@ window.updateMultiplayerGameState = function (gameState) {
         }
     });
     
-    // Update current player
+    // Update current player and phase
     gameController.gameState.currentPlayerIndex = gameState.currentPlayerIndex;
+    gameController.gameState.gamePhase = gameState.gamePhase;
+    gameController.gameState.exchanges = gameState.exchanges || [];
+    gameController.gameState.currentHighestCards = gameState.currentHighestCards || [];
+    if (gameState.ruleset) {
+        gameController.gameState.ruleset = PresidenteRulesets.getRuleset(gameState.ruleset.id);
+    }
+    
+    // Announce a revolution flipping the rank order
+    const wasRevolution = gameController.gameState.revolution;
+    gameController.gameState.revolution = !!gameState.revolution;
+    if (gameController.gameState.revolution !== wasRevolution && gameState.roundWinner !== null) {
+        const revolutionary = gameState.players.find(p => p.id === gameState.roundWinner);
+        gameController.notificationManager.showRevolutionMessage(revolutionary ? revolutionary.name : 'Someone', gameController.gameState.revolution);
+    }
+    
+    // During the exchange, act from your own seat if you still owe cards
+    const activeIndex = gameController.gameState.getPendingExchange(gameState.yourIndex)
+        ? gameState.yourIndex
+        : gameState.currentPlayerIndex;
     
     // Update center cards
     console.log('Updating center cards:', gameState.centerCards);
@@ -2134,6 +2147,7 @@ window.updateMultiplayerGameState = function (gameState) {
             gameState.centerCards.forEach(card => {
                 console.log('Rendering center card:', card);
                 const cardEl = gameController.uiManager.createCardElement(card, 'center');
+                cardEl.classList.add('card-played'); // So the next cardsPlayed event replaces it
                 centerArea.appendChild(cardEl);
             });
             console.log('Center cards rendered successfully');
@@ -2149,17 +2163,97 @@ window.updateMultiplayerGameState = function (gameState) {
     
     // Re-render UI (skip renderPlayerHands as we've already set up hands correctly for multiplayer)
     console.log('Updating UI highlights and turn display...');
-    gameController.uiManager.highlightCurrentPlayer(gameState.currentPlayerIndex);
-    gameController.uiManager.updateTurnDisplay(gameState.currentPlayerIndex);
+    gameController.uiManager.highlightCurrentPlayer(activeIndex);
+    gameController.uiManager.updateTurnDisplay(activeIndex);
     
     // Force re-render of player hands with the correct multiplayer setup
     console.log('Force rendering player hands for multiplayer...');
     gameController.gameState.players.forEach((player, index) => {
         gameController.uiManager.renderPlayerHand(player, index + 1);
     });
+    gameController.uiManager.updateRevolutionIndicator();
+    
+    // Countdown to the server's deadline for whoever has to act
+    const clockOffset = gameState.serverTime ? gameState.serverTime - Date.now() : 0;
+    gameController.uiManager.updateTurnTimer(gameState.currentPlayerIndex, gameState.turnDeadline, clockOffset);
     
     // Hide loading if it was showing
     gameController.showLoading(false);
     
     console.log('Multiplayer UI update complete');
-};
\ No newline at end of file
+};
+
+/**
+ * Applies one typed game event from the server (cardsPlayed, turnPassed,
+ * playerFinished, trickCleared) on top of the last snapshot, animating just
+ * what changed
+ * @param {string} type - The event name
+ * @param {Object} event - The event, with the stateVersion it moves to and whose turn follows
+ * @returns {boolean} - False if the event can't be applied (no snapshot yet,
+ *   or an event was missed) and a fresh snapshot is needed
+ */
+window.applyMultiplayerEvent = function (type, event) {
+    if (!window.gameController || !gameController.isMultiplayer || gameController.gameState.players.length === 0) return false;
+    
+    // Already applied (or older than the snapshot we have)
+    if (event.stateVersion <= gameController.stateVersion) return true;
+    // An event went missing in between
+    if (event.stateVersion !== gameController.stateVersion + 1) {
+        console.log(`Missed game events: have ${gameController.stateVersion}, got ${event.stateVersion}`);
+        return false;
+    }
+    gameController.stateVersion = event.stateVersion;
+    
+    const { gameState, uiManager, notificationManager } = gameController;
+    const player = gameState.players[event.playerIndex];
+    
+    switch (type) {
+        case 'cardsPlayed': {
+            if (event.playerIndex === gameController.myPlayerIndex) {
+                const indexes = findCardIndexes(player.hand, event.cards) || [];
+                player.hand = player.hand.filter((card, index) => !indexes.includes(index));
+            } else {
+                player.hand = new Array(event.handCount).fill({ suit: 'back', value: 0 });
+            }
+            gameState.currentHighestCards = event.cards;
+            
+            if (event.revolution !== gameState.revolution) {
+                gameState.revolution = event.revolution;
+                notificationManager.showRevolutionMessage(player.name, event.revolution);
+            } else {
+                notificationManager.showCardPlayedMessage(player.name, gameController.describePlay(event.play));
+            }
+            
+            const cardElements = event.cards.map(card => uiManager.createCardElement(card, 'center'));
+            uiManager.moveCardsToCenter(cardElements, gameState.zIndex);
+            gameState.zIndex += cardElements.length;
+            uiManager.renderPlayerHand(player, event.playerIndex + 1);
+            break;
+        }
+        case 'turnPassed':
+            notificationManager.showSkipTurnMessage(player.name);
+            break;
+        case 'playerFinished':
+            player.finishPosition = event.finishPosition;
+            player.isWinner = event.finishPosition === 1;
+            notificationManager.showPlayerFinishedMessage(player.name, event.finishPosition, gameState.players.length);
+            uiManager.renderPlayerHand(player, event.playerIndex + 1);
+            break;
+        case 'trickCleared':
+            gameState.currentHighestCards = [];
+            uiManager.clearPlayedCards();
+            break;
+        default:
+            console.warn('Unknown game event:', type);
+    }
+    
+    // Whose turn follows
+    gameState.currentPlayerIndex = event.currentPlayerIndex;
+    gameState.gamePhase = event.gamePhase;
+    uiManager.highlightCurrentPlayer(event.currentPlayerIndex);
+    uiManager.updateTurnDisplay(event.currentPlayerIndex);
+    uiManager.updateRevolutionIndicator();
+    const clockOffset = event.serverTime ? event.serverTime - Date.now() : 0;
+    uiManager.updateTurnTimer(event.currentPlayerIndex, event.turnDeadline, clockOffset);
+    return true;
+};
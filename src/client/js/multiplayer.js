@@ -8,7 +8,10 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     const roomId     = sessionStorage.getItem('presidenteRoomId');
+    const settings   = JSON.parse(sessionStorage.getItem('presidenteMatchSettings') || '{}');
     const playerName = sessionStorage.getItem('presidentePlayerName') || `Player-${Math.random().toString(36).slice(2,5)}`;
+    // Watching a live game from the lobby rather than taking a seat
+    const isSpectator = sessionStorage.getItem('presidenteSpectate') === 'true';
 
     // Skip multiplayer setup if no room ID (single player mode)
     if (!roomId) {
@@ -19,32 +22,180 @@ document.addEventListener('DOMContentLoaded', () => {
     console.log('Connecting to server with:', { roomId, playerName });
     const socket = io();
     
-    // Join or create given room with payload {roomId, name}
-    socket.emit('joinRoom', { roomId, name: playerName });
+    // Join or create given room with payload {roomId, name, settings, token}.
+    // Sent again on every reconnect: the session token reclaims our seat.
+    // Private rooms also need the invite code if the token no longer works.
+    const inviteCode = sessionStorage.getItem('presidenteInviteCode');
+    socket.on('connect', () => {
+        if (isSpectator) {
+            socket.emit('spectateRoom', { roomId, name: playerName, inviteCode });
+            return;
+        }
+        const token = sessionStorage.getItem('presidenteSessionToken');
+        socket.emit('joinRoom', { roomId, name: playerName, settings, token, inviteCode });
+    });
+
+    // Room chat, for players and spectators alike
+    const chatPanelEl = document.getElementById('chatPanel');
+    if (chatPanelEl) {
+        chatPanelEl.hidden = false;
+        new ChatPanel(socket, chatPanelEl, roomId);
+    }
 
     const numerorodadaEl = document.getElementById('numerorodada');
     if (numerorodadaEl) {
-        numerorodadaEl.textContent = `Waiting in room ${roomId}...`;
+        numerorodadaEl.textContent = isSpectator ? `Watching room ${roomId}...` : `Waiting in room ${roomId}...`;
     }
 
-    socket.on('joined',   data   => console.log('Joined:', data));
+    // Seats chosen by the room creator (2-8)
+    let seats = settings.seats || GAME_CONFIG.DEFAULT_PLAYERS;
+
+    socket.on('joined', data => {
+        console.log('Joined:', data);
+        sessionStorage.setItem('presidenteSessionToken', data.token);
+        window.myPlayerId = data.id;
+        seats = data.seats || seats;
+        if (window.gameController) {
+            window.gameController.uiManager.renderSeats(seats);
+        }
+        showInviteLink(data.inviteCode);
+    });
+    socket.on('spectating', data => {
+        console.log('Spectating:', data);
+        seats = data.seats || seats;
+        if (window.gameController) {
+            window.gameController.uiManager.renderSeats(seats);
+        }
+    });
     socket.on('roomFull', ()     => alert('Room full!'));
+    socket.on('roomLocked', ()   => alert('This room is locked.'));
+    socket.on('roomPrivate', ()  => alert('This room is private.'));
 
-    // Update waiting list UI & board names
-    const nameElements = [
-        document.getElementById('player1Name'),
-        document.getElementById('player2Name'),
-        document.getElementById('player3Name'),
-        document.getElementById('player4Name')
-    ];
+    // Private rooms: show the shareable link, copied on click
+    function showInviteLink(code) {
+        const inviteLinkEl = document.getElementById('inviteLink');
+        if (!inviteLinkEl || !code) return;
+        const url = `${window.location.origin}/room/${code}`;
+        document.getElementById('inviteLinkText').textContent = url;
+        inviteLinkEl.hidden = false;
+        inviteLinkEl.onclick = () => {
+            navigator.clipboard.writeText(url).then(() => {
+                if (window.gameController) {
+                    window.gameController.notificationManager.showToast('Invite link copied', 'success', 1500);
+                }
+            });
+        };
+    }
+    socket.on('gameError', ({ message }) => {
+        if (window.gameController) {
+            window.gameController.notificationManager.showToast(message, 'error', 2500);
+        }
+    });
+
+    // Removed by the host: this seat is gone, back to the lobby
+    socket.on('kicked', () => {
+        sessionStorage.removeItem('presidenteRoomId');
+        sessionStorage.removeItem('presidenteSessionToken');
+        alert('The host removed you from the room.');
+        window.location.href = 'setup.html';
+    });
 
+    /* -------------------
+       Host controls
+       ------------------- */
+    let roomPlayers = [];
+    let roomInfo = {};
+    let gameStarted = false;
+    const hostPanelEl = document.getElementById('hostPanel');
+    const hostRowsEl  = document.getElementById('hostRows');
+    const hostSeatsEl = document.getElementById('hostSeats');
+    const hostLockEl  = document.getElementById('hostLock');
+
+    // Only the host sees the panel, and only while the room is waiting
+    function renderHostPanel() {
+        if (!hostPanelEl) return;
+        hostPanelEl.hidden = gameStarted || isSpectator || roomInfo.hostId !== window.myPlayerId;
+        if (hostPanelEl.hidden) return;
+
+        hostRowsEl.innerHTML = '';
+        roomPlayers.filter(p => p.id !== window.myPlayerId).forEach(p => {
+            const row = document.createElement('span');
+            row.className = 'host-row';
+            row.textContent = p.name;
+
+            // Bots can't host
+            if (!p.isBot) {
+                const promoteBtn = document.createElement('button');
+                promoteBtn.title = `Make ${p.name} the host`;
+                promoteBtn.innerHTML = '<i class="fas fa-crown"></i>';
+                promoteBtn.onclick = () => socket.emit('transferHost', { roomId, playerId: p.id });
+                row.appendChild(promoteBtn);
+            }
+
+            const kickBtn = document.createElement('button');
+            kickBtn.title = `Remove ${p.name}`;
+            kickBtn.innerHTML = '<i class="fas fa-times"></i>';
+            kickBtn.onclick = () => socket.emit('kickPlayer', { roomId, playerId: p.id });
+
+            row.appendChild(kickBtn);
+            hostRowsEl.appendChild(row);
+        });
+        hostSeatsEl.value = roomInfo.seats;
+        hostSeatsEl.min = Math.max(GAME_CONFIG.MIN_PLAYERS, roomPlayers.length);
+        hostLockEl.checked = roomInfo.locked;
+    }
+
+    if (hostPanelEl) {
+        hostSeatsEl.addEventListener('change', () => {
+            socket.emit('setSeatLimit', { roomId, seats: parseInt(hostSeatsEl.value, 10) });
+        });
+        hostLockEl.addEventListener('change', () => {
+            socket.emit('lockRoom', { roomId, locked: hostLockEl.checked });
+        });
+        document.getElementById('hostAddBotBtn').addEventListener('click', () => {
+            socket.emit('addBot', { roomId });
+        });
+        document.getElementById('hostStartBtn').addEventListener('click', () => {
+            socket.emit('startGame', { roomId });
+        });
+    }
+
+    // Host, seat limit and lock – the seat count also sizes the table
+    socket.on('roomInfo', info => {
+        roomInfo = info;
+        if (info.seats !== seats && !gameStarted) {
+            seats = info.seats;
+            if (window.gameController) {
+                window.gameController.uiManager.renderSeats(seats);
+            }
+            showPlayerList();
+        }
+        renderHostPanel();
+    });
+
+    socket.on('gameStarting', () => {
+        gameStarted = true;
+        renderHostPanel();
+    });
+    socket.on('roomNotFound', () => alert('That game has ended.'));
+
+    // Update waiting list UI & board names
     socket.on('playerList', list => {
         console.log('Players:', list);
+        roomPlayers = list;
+        showPlayerList();
+        renderHostPanel();
+    });
+
+    function showPlayerList() {
+        const list = roomPlayers;
+        const nameElements = Array.from({ length: seats }, (_, i) => document.getElementById(`player${i + 1}Name`));
         // reset names
         nameElements.forEach((el,i)=>{ if(el) el.textContent = `Player ${i+1}`; });
         list.forEach(p => {
-            if(nameElements[p.index]) nameElements[p.index].textContent = p.name;
-            if(p.id === socket.id) {
+            const label = p.isHost ? `${p.name} ★` : p.name;
+            if(nameElements[p.index]) nameElements[p.index].textContent = p.connected ? label : `${label} (reconnecting...)`;
+            if(p.id === window.myPlayerId) {
                 // store my seat index
                 window.mySeatIndex = p.index;
             }
@@ -52,11 +203,123 @@ document.addEventListener('DOMContentLoaded', () => {
         const names = list.map(p => p.name || '???');
         const numerorodadaEl = document.getElementById('numerorodada');
         if (numerorodadaEl) {
-            numerorodadaEl.textContent = `Room ${roomId}: ${list.length}/4 connected – ${names.join(', ')}`;
+            numerorodadaEl.textContent = `Room ${roomId}: ${list.length}/${seats} connected – ${names.join(', ')}`;
+        }
+    }
+
+    // Running match standings, sent alongside every game state
+    socket.on('matchState', matchState => {
+        if (window.gameController) {
+            window.gameController.uiManager.renderMatchState(matchState);
+        }
+    });
+
+    socket.on('matchOver', matchState => {
+        if (!window.gameController || !matchState.winner) return;
+        window.gameController.uiManager.renderMatchState(matchState);
+        window.gameController.notificationManager.showNotification(
+            '🏆 Match Over! 🏆',
+            `${matchState.winner.name} wins the match with ${matchState.winner.score} points!`,
+            'success',
+            0
+        );
+    });
+
+    // A new hand was dealt: clear last hand's titles from the board
+    socket.on('newHand', ({ gamePhase }) => {
+        document.querySelectorAll('.player-area').forEach(area => {
+            area.classList.remove('finished', 'presidente');
+        });
+        if (gamePhase === 'exchanging' && window.gameController) {
+            window.gameController.notificationManager.showExchangeStartMessage();
+        }
+    });
+
+    // The server acted for a player whose time ran out
+    socket.on('turnTimedOut', ({ name }) => {
+        if (window.gameController) {
+            window.gameController.notificationManager.showToast(`${name} ran out of time`, 'warning', 2500);
+        }
+    });
+
+    /* -------------------
+       Rematch vote
+       ------------------- */
+    const rematchPanelEl  = document.getElementById('rematchPanel');
+    const rematchStatusEl = document.getElementById('rematchStatus');
+    const rematchYesBtn   = document.getElementById('rematchYesBtn');
+
+    if (rematchPanelEl) {
+        rematchYesBtn.addEventListener('click', () => socket.emit('rematchVote', { roomId, accept: true }));
+        document.getElementById('rematchNoBtn').addEventListener('click', () => socket.emit('rematchVote', { roomId, accept: false }));
+    }
+
+    // Who has agreed to play again; the vote is open to seated players only
+    socket.on('rematchState', ({ accepted, waiting }) => {
+        if (!rematchPanelEl || isSpectator) return;
+        const agreed = accepted.includes(window.myPlayerId);
+        const total = accepted.length + waiting.length;
+        rematchPanelEl.hidden = false;
+        rematchYesBtn.disabled = agreed;
+        rematchStatusEl.textContent = agreed
+            ? `Waiting for the others (${accepted.length}/${total} ready)...`
+            : `Play again? ${accepted.length}/${total} ready`;
+    });
+
+    // Everyone agreed: same seats, fresh match
+    socket.on('rematchStarting', ({ players }) => {
+        if (rematchPanelEl) rematchPanelEl.hidden = true;
+        seats = players.length;
+        document.querySelectorAll('.player-area').forEach(area => {
+            area.classList.remove('finished', 'presidente');
+        });
+        if (window.gameController) {
+            window.gameController.notificationManager.hideNotification();
+            // The next game state sets the table up again from scratch
+            window.gameController.clearTable();
+        }
+    });
+
+    // Declined the rematch: this seat is gone, back to the lobby
+    socket.on('returnToLobby', () => {
+        sessionStorage.removeItem('presidenteRoomId');
+        sessionStorage.removeItem('presidenteSessionToken');
+        window.location.href = 'setup.html';
+    });
+
+    // A player never came back, but a bot plays on in their seat
+    socket.on('botTookOver', ({ name }) => {
+        if (window.gameController) {
+            window.gameController.notificationManager.showToast(`A bot took over the seat: ${name}`, 'info', 3000);
+        }
+    });
+
+    // A player never came back: the game can't go on without them
+    socket.on('gameAbandoned', ({ name }) => {
+        if (window.gameController) {
+            window.gameController.notificationManager.showNotification(
+                'Game Abandoned',
+                `${name} left the table and did not come back.`,
+                'error',
+                0
+            );
         }
     });
 
     // Handle server-authoritative game state updates
+    // Plays and passes arrive as small typed events between full snapshots.
+    // One that can't be applied (we missed an event) asks for a fresh snapshot.
+    let resyncRequested = false;
+    ['cardsPlayed', 'turnPassed', 'playerFinished', 'trickCleared'].forEach(type => {
+        socket.on(type, event => {
+            if (typeof window.applyMultiplayerEvent === 'function' && window.applyMultiplayerEvent(type, event)) return;
+            if (resyncRequested) return;
+            resyncRequested = true;
+            console.log(`Could not apply ${type} (version ${event.stateVersion}), requesting a snapshot`);
+            socket.emit('requestSync', { roomId });
+        });
+    });
+
     socket.on('gameState', (gameState) => {
         console.log('=== RECEIVED GAME STATE UPDATE ===');
         console.log('Center cards:', gameState.centerCards);
@@ -65,13 +328,23 @@ document.addEventListener('DOMContentLoaded', () => {
         console.log('Your hand count:', gameState.yourHand ? gameState.yourHand.length : 'undefined');
         console.log('===================================');
         
+        // A game is running: hide the waiting-room controls
+        if (!gameStarted) {
+            gameStarted = true;
+            renderHostPanel();
+        }
+
         // Update header to show game is active
         const numerorodadaEl = document.getElementById('numerorodada');
         if (numerorodadaEl) {
             const currentPlayerName = gameState.players[gameState.currentPlayerIndex]?.name || 'Unknown';
-            numerorodadaEl.textContent = `${currentPlayerName}'s turn`;
+            numerorodadaEl.textContent = gameState.spectator
+                ? `Watching room ${roomId} – ${currentPlayerName}'s turn`
+                : `${currentPlayerName}'s turn`;
         }
         
+        resyncRequested = false;
+
         // Expose game state and socket to game.js
         window.multiplayerGameState = gameState;
         window.multiplayerSocket = socket;
@@ -0,0 +1,332 @@
+/**
+ * Replay viewer (replay.html)
+ *
+ * Steps through a recorded hand (see GameState.getReplay()) by playing it
+ * back through the rules engine with replayGame(), and draws each position
+ * with the game page's UIManager, every hand face up.
+ *
+ * A step is one logged deal, exchange, play or pass; the finishes and
+ * cleared tricks they cause are shown with them.
+ */
+
+// Milliseconds between steps at 1x speed
+const REPLAY_STEP_DELAY = 1000;
+
+class ReplayViewer {
+    constructor() {
+        // UIManager reads these to decide what to draw
+        this.gameState = null;
+        this.isSpectator = true; // No play or pass buttons
+        this.showAllHands = true;
+
+        this.replay = null;
+        this.steps = []; // Index into replay.actions of each step
+        this.position = 0;
+        this.playTimer = null;
+
+        this.uiManager = new UIManager(this);
+        this.notificationManager = this.uiManager.notificationManager;
+        this.initializeEventListeners();
+        this.loadFromUrl();
+    }
+
+    /**
+     * Wires up the file picker, the game id form and the playback controls
+     */
+    initializeEventListeners() {
+        document.getElementById('replayFile').addEventListener('change', e => {
+            const file = e.target.files[0];
+            if (file) this.loadFile(file);
+            e.target.value = '';
+        });
+        document.getElementById('replayFetchBtn').addEventListener('click', () => {
+            const gameId = document.getElementById('replayGameId').value.trim();
+            const hand = parseInt(document.getElementById('replayHand').value, 10) || 1;
+            if (gameId) this.fetchReplay(gameId, hand);
+        });
+
+        document.getElementById('replayFirstBtn').addEventListener('click', () => this.goTo(0));
+        document.getElementById('replayBackBtn').addEventListener('click', () => this.goTo(this.position - 1));
+        document.getElementById('replayForwardBtn').addEventListener('click', () => this.goTo(this.position + 1));
+        document.getElementById('replayLastBtn').addEventListener('click', () => this.goTo(this.steps.length - 1));
+        document.getElementById('replayPlayBtn').addEventListener('click', () => this.togglePlay());
+        // A new speed takes effect straight away
+        document.getElementById('replaySpeed').addEventListener('change', () => {
+            if (this.playTimer) this.play();
+        });
+        document.getElementById('replayJump').addEventListener('change', e => {
+            if (e.target.value !== '') this.goTo(parseInt(e.target.value, 10));
+            e.target.value = '';
+        });
+    }
+
+    /**
+     * Loads the hand named in the address (?game=<id>&hand=<n>), if any
+     */
+    loadFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        const gameId = params.get('game');
+        if (!gameId) return;
+
+        const hand = parseInt(params.get('hand'), 10) || 1;
+        document.getElementById('replayGameId').value = gameId;
+        document.getElementById('replayHand').value = hand;
+        this.fetchReplay(gameId, hand);
+    }
+
+    /**
+     * Reads a replay file chosen on this computer
+     * @param {File} file - The picked file
+     */
+    loadFile(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                this.loadReplay(JSON.parse(reader.result));
+            } catch (error) {
+                this.notificationManager.showToast(`Could not open ${file.name}: ${error.message}`, 'error', 5000);
+            }
+        };
+        reader.readAsText(file);
+    }
+
+    /**
+     * Downloads the replay of one hand of a match from the HTTP API
+     * @param {string} gameId - Match id
+     * @param {number} hand - Hand number, from 1
+     */
+    async fetchReplay(gameId, hand) {
+        try {
+            const response = await fetch(`/api/games/${encodeURIComponent(gameId)}/hands/${hand}/replay`);
+            const body = await response.json();
+            if (!response.ok) throw new Error(body.message);
+            this.loadReplay(body);
+        } catch (error) {
+            this.notificationManager.showToast(`Could not load the replay: ${error.message}`, 'error', 5000);
+        }
+    }
+
+    /**
+     * Checks a replay against the rules and shows its deal
+     * @param {Object} replay - A replay file
+     * @throws {Error} - If the file isn't a replay or doesn't follow the rules
+     */
+    loadReplay(replay) {
+        // Playing it to the end checks the whole file before anything is shown
+        replayGame(replay);
+
+        this.pause();
+        this.replay = replay;
+        this.steps = [];
+        replay.actions.forEach((action, index) => {
+            if (action.type !== 'finish' && action.type !== 'trickCleared') {
+                this.steps.push(index);
+            }
+        });
+
+        this.uiManager.renderSeats(replay.players.length);
+        this.renderJumpTargets();
+        document.getElementById('replayControls').hidden = false;
+        this.goTo(0);
+    }
+
+    /**
+     * Fills the jump list with every cleared trick and every finish
+     */
+    renderJumpTargets() {
+        const select = document.getElementById('replayJump');
+        select.innerHTML = '<option value="">Trick or finish...</option>';
+
+        let trick = 0;
+        this.replay.actions.forEach((action, index) => {
+            let label = null;
+            if (action.type === 'trickCleared') {
+                trick++;
+                label = `Trick ${trick}`;
+            } else if (action.type === 'finish') {
+                label = `${this.getPlayerName(action.playerIndex)} out ${this.getFinishText(action.position)}`;
+            }
+            if (!label) return;
+
+            // The step that caused it: the last one logged before it
+            const option = document.createElement('option');
+            option.value = this.steps.filter(step => step < index).length - 1;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+    }
+
+    /**
+     * Shows the hand as it stood after a given step
+     * @param {number} position - Step number, 0 being the deal
+     */
+    goTo(position) {
+        if (!this.replay) return;
+        this.position = Math.max(0, Math.min(position, this.steps.length - 1));
+        this.gameState = replayGame(this.replay, this.steps[this.position] + 1);
+        this.render();
+
+        if (this.position === this.steps.length - 1) this.pause();
+    }
+
+    /**
+     * Starts or stops automatic playback
+     */
+    togglePlay() {
+        if (this.playTimer) {
+            this.pause();
+        } else {
+            // Playing from the end starts again from the deal
+            if (this.position === this.steps.length - 1) this.goTo(0);
+            this.play();
+        }
+    }
+
+    /**
+     * Steps forward on a timer at the chosen speed
+     */
+    play() {
+        clearInterval(this.playTimer);
+        const speed = parseFloat(document.getElementById('replaySpeed').value) || 1;
+        this.playTimer = setInterval(() => this.goTo(this.position + 1), REPLAY_STEP_DELAY / speed);
+        document.querySelector('#replayPlayBtn i').className = 'fas fa-pause';
+    }
+
+    /**
+     * Stops automatic playback
+     */
+    pause() {
+        clearInterval(this.playTimer);
+        this.playTimer = null;
+        document.querySelector('#replayPlayBtn i').className = 'fas fa-play';
+    }
+
+    /**
+     * Draws the table, hands, turn and caption for the current step
+     */
+    render() {
+        const gameState = this.gameState;
+
+        gameState.players.forEach((player, index) => {
+            const area = document.querySelector(`.player${index + 1}-area`);
+            if (area) area.classList.remove('finished', 'presidente');
+
+            const nameEl = document.getElementById(`player${index + 1}Name`);
+            if (nameEl) {
+                const finishText = player.finishPosition ? ` (${this.getFinishText(player.finishPosition)})` : '';
+                nameEl.textContent = `${player.name}${finishText}`;
+            }
+        });
+        this.uiManager.renderPlayerHands(gameState.players);
+        this.renderTable();
+
+        if (gameState.gamePhase === GAME_PHASES.GAME_OVER) {
+            document.querySelectorAll('.player-area').forEach(area => area.classList.remove('active-player'));
+            document.getElementById('numerorodada').textContent = 'Hand over';
+        } else {
+            this.uiManager.highlightCurrentPlayer(gameState.currentPlayerIndex);
+            this.uiManager.updateTurnDisplay(gameState.currentPlayerIndex);
+        }
+
+        document.getElementById('replayCaption').textContent = this.describeStep(this.position);
+        document.getElementById('replayPosition').textContent = `Step ${this.position + 1} of ${this.steps.length}`;
+    }
+
+    /**
+     * Shows the play to beat in the center, or an empty table
+     */
+    renderTable() {
+        const centerArea = document.getElementById('centerArea');
+        centerArea.innerHTML = '';
+
+        const cards = this.gameState.currentHighestCards;
+        if (cards.length === 0) {
+            centerArea.innerHTML = `
+                <div class="center-message">
+                    <i class="fas fa-layer-group"></i>
+                    <p>The table is clear</p>
+                </div>
+            `;
+            return;
+        }
+        cards.forEach(card => {
+            const cardEl = this.uiManager.createCardElement(card, 'center');
+            cardEl.classList.add('card-played', 'current-highest');
+            centerArea.appendChild(cardEl);
+        });
+    }
+
+    /**
+     * Describes a step and whatever it caused, e.g. "Ana plays 7 x2 and goes out 1st"
+     * @param {number} position - Step number
+     * @returns {string}
+     */
+    describeStep(position) {
+        const actions = this.replay.actions;
+        const index = this.steps[position];
+        const action = actions[index];
+        const name = this.getPlayerName(action.playerIndex);
+
+        let text;
+        if (action.type === 'deal') {
+            text = `Cards dealt; ${this.getPlayerName(action.openingPlayerIndex)} leads`;
+        } else if (action.type === 'exchange') {
+            text = `${name} hands back ${action.cards.length} card${action.cards.length === 1 ? '' : 's'}`;
+        } else if (action.type === 'play') {
+            text = `${name} plays ${this.describeCards(action.cards)}`;
+        } else {
+            text = `${name} passes`;
+        }
+
+        // The finishes and cleared trick logged between this step and the next
+        const end = position + 1 < this.steps.length ? this.steps[position + 1] : actions.length;
+        actions.slice(index + 1, end).forEach(caused => {
+            if (caused.type === 'finish') {
+                const who = caused.playerIndex === action.playerIndex ? '' : ` ${this.getPlayerName(caused.playerIndex)}`;
+                text += `, and${who} goes out ${this.getFinishText(caused.position)}`;
+            } else if (caused.type === 'trickCleared') {
+                text += `. Trick cleared; ${this.getPlayerName(caused.leaderIndex)} leads`;
+            }
+        });
+        return text;
+    }
+
+    /**
+     * Names a play the way the game page does: "7", "7 x3" or "run 5-7"
+     * @param {Array} cards - The cards played
+     * @returns {string}
+     */
+    describeCards(cards) {
+        const play = this.gameState.classifyPlay(cards);
+        if (!play) return `${cards.length} cards`;
+
+        const rankOf = value => this.uiManager.getCardRankFromValue(value);
+        if (play.type === 'run') {
+            return `run ${rankOf(play.value - play.length + 1)}-${rankOf(play.value)}`;
+        }
+        return play.length === 1 ? rankOf(play.value) : `${rankOf(play.value)} x${play.length}`;
+    }
+
+    /**
+     * @param {number} playerIndex - Seat
+     * @returns {string} - The seat's name in the replay
+     */
+    getPlayerName(playerIndex) {
+        const player = this.replay.players[playerIndex];
+        return player ? player.name : `Player ${playerIndex + 1}`;
+    }
+
+    /**
+     * @param {number} position - Finish position
+     * @returns {string} - e.g. "1st (Presidente)" or "3rd"
+     */
+    getFinishText(position) {
+        const title = getTitle(position, this.replay.players.length);
+        const ordinal = this.uiManager.getPositionText(position) || `${position}th`;
+        return title ? `${ordinal} (${title})` : ordinal;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.replayViewer = new ReplayViewer();
+});
@@ -0,0 +1,469 @@
+/**
+ * Room Manager
+ *
+ * Everything players do to a room outside the game itself: joining (or
+ * taking a seat back), watching, the host's controls, leaving and the
+ * rematch vote. It reads and changes rooms only through a room store (see
+ * room-store.js) and never touches sockets or timers: each method says what
+ * happened, and server.js tells the clients and runs the clocks.
+ *
+ * A refusal comes back as { error, message, details } with one of the
+ * ROOM_ERRORS codes (details only for ROOM_PRIVATE). A method that quietly
+ * does nothing, such as kicking someone who isn't there, returns null.
+ */
+
+const crypto = require('crypto');
+const { GAME_CONFIG } = require('../../public/js/shared/game-config');
+const { getRuleset } = require('../../public/js/shared/rulesets');
+
+const { MIN_PLAYERS, MAX_PLAYERS, DEFAULT_PLAYERS } = GAME_CONFIG;
+
+const ROOM_ERRORS = {
+    ROOM_NOT_FOUND: 'No such room.',
+    ROOM_PRIVATE: 'That room is private.',
+    GAME_IN_PROGRESS: 'That room is already playing.',
+    ROOM_LOCKED: 'That room is locked.',
+    ROOM_FULL: 'That room is full.',
+    NOT_HOST: 'Only the host can do that.',
+    GAME_STARTED: 'The game has already started.',
+    TOO_FEW_PLAYERS: `At least ${MIN_PLAYERS} players are needed to start.`
+};
+
+/**
+ * @param {string} error - A ROOM_ERRORS code
+ * @param {Object} [details] - What the client needs to answer it
+ * @returns {Object} - The refusal
+ */
+function refuse(error, details) {
+    return { error, message: ROOM_ERRORS[error], details };
+}
+
+/**
+ * Room settings chosen by the room creator, within sane bounds
+ * @param {Object} [settings] - Settings as sent by the client
+ * @returns {Object} - { seats, maxHands, targetScore, ruleset, jokers }
+ */
+function getRoomSettings(settings = {}) {
+    const clamp = (value, min, max, fallback) => {
+        const number = parseInt(value, 10);
+        return Number.isInteger(number) ? Math.min(Math.max(number, min), max) : fallback;
+    };
+    return {
+        seats: clamp(settings.seats, MIN_PLAYERS, MAX_PLAYERS, DEFAULT_PLAYERS),
+        maxHands: clamp(settings.maxHands, 1, 50, GAME_CONFIG.MATCH.MAX_HANDS),
+        targetScore: clamp(settings.targetScore, 1, 500, GAME_CONFIG.MATCH.TARGET_SCORE),
+        ruleset: getRuleset(settings.ruleset).id,
+        jokers: settings.jokers === true
+    };
+}
+
+/**
+ * Passwords are only kept as salted scrypt hashes, "salt:hash" in hex
+ * @param {string} password - The password
+ * @returns {string} - Its hash
+ */
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(String(password), salt, 64).toString('hex');
+    return `${salt}:${hash}`;
+}
+
+/**
+ * @param {string} password - The password given
+ * @param {string} passwordHash - A hash made by hashPassword
+ * @returns {boolean} - Whether they match
+ */
+function checkPassword(password, passwordHash) {
+    const [salt, hash] = passwordHash.split(':');
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(String(password), salt, expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Public rooms are open to all; private rooms need their invite code or
+ * their password
+ * @param {Object} room - The room
+ * @param {Object} credentials - { inviteCode, password }, either may be missing
+ * @returns {boolean}
+ */
+function canEnterRoom(room, { inviteCode, password }) {
+    if (!room.isPrivate) return true;
+    if (inviteCode && inviteCode === room.inviteCode) return true;
+    return !!(room.passwordHash && password && checkPassword(password, room.passwordHash));
+}
+
+/**
+ * A server-run player for an empty seat, named "Bot <n>" with the lowest
+ * number nobody in the room is using
+ * @param {Object} room - The room it joins
+ * @returns {Object} - The bot's seat
+ */
+function createBot(room) {
+    const names = new Set(room.players.map(p => p.name));
+    let number = 1;
+    while (names.has(`Bot ${number}`)) number++;
+    return {
+        id: crypto.randomUUID(),
+        name: `Bot ${number}`,
+        index: room.players.length,
+        socketId: null, // Bots get no game state; the server plays for them
+        token: null,
+        connected: true,
+        isBot: true
+    };
+}
+
+class RoomManager {
+    /**
+     * @param {Object} store - Where the rooms are kept (see room-store.js)
+     */
+    constructor(store) {
+        this.store = store;
+    }
+
+    /**
+     * Opens a new, empty room. A password makes a room private too.
+     * @param {string} roomId - Room id
+     * @param {Object} [settings] - Settings as sent by the client
+     * @returns {Promise<Object>} - The new room
+     */
+    async createRoom(roomId, settings = {}) {
+        const isPrivate = settings.private === true || !!settings.password;
+        return this.store.create(roomId, {
+            players: [], // { id, name, index, socketId, token, connected, isBot }
+            match: null, // The match being played, as plain data; server.js keeps it current
+            settings: getRoomSettings(settings),
+            status: 'waiting', // waiting, full, in-progress, finished
+            spectators: [], // { socketId, name } – watch only, never seated
+            hostId: null, // The first to join; may start early, kick, lock and resize the room
+            locked: false, // Locked rooms take no new players
+            rematchVotes: [], // Player ids who want another match once this one ends
+            stateVersion: 0, // Bumped by every gameState broadcast; actions must be based on the latest
+            recentActions: [], // ["playerId:actionId", the answer already given], oldest first
+            chatHistory: [], // Latest chat messages, oldest first, replayed to new arrivals
+            isPrivate, // Private rooms stay out of the lobby list
+            inviteCode: isPrivate ? await this.generateInviteCode() : null,
+            passwordHash: settings.password ? hashPassword(settings.password) : null
+        });
+    }
+
+    /**
+     * A short code that lets friends into a private room
+     * @returns {Promise<string>}
+     */
+    async generateInviteCode() {
+        let code;
+        do {
+            code = crypto.randomBytes(4).toString('hex');
+        } while (await this.findRoomByInvite(code));
+        return code;
+    }
+
+    /**
+     * @param {string} code - An invite code
+     * @returns {Promise<string|undefined>} - The id of the room it belongs to
+     */
+    async findRoomByInvite(code) {
+        const entry = (await this.store.list()).find(([id, room]) => code && room.inviteCode === code);
+        return entry && entry[0];
+    }
+
+    /**
+     * Changes some of a seated player's fields
+     * @param {string} roomId - Room id
+     * @param {string} playerId - Player id
+     * @param {Object} changes - Fields to set
+     * @returns {Promise<Object>} - The updated room
+     */
+    async updatePlayer(roomId, playerId, changes) {
+        const room = await this.store.get(roomId);
+        return this.store.update(roomId, {
+            players: room.players.map(p => (p.id === playerId ? { ...p, ...changes } : p))
+        });
+    }
+
+    /**
+     * Seats a player, creating the room if there is none by that name. The
+     * session token of someone seated in the room (a page refresh or a
+     * dropped connection) takes their seat back instead.
+     * @param {Object} request - The joinRoom payload plus the joining socketId
+     * @returns {Promise<Object|null>} - { roomId, room, player, resumed, isNewRoom, full },
+     *   a refusal, or null if this connection already has a seat there
+     */
+    async joinRoom({ roomId, inviteCode, name, settings, token, password, socketId }) {
+        // An invite code stands in for the room name
+        if (inviteCode && !roomId) {
+            roomId = await this.findRoomByInvite(inviteCode);
+            if (!roomId) return refuse('ROOM_NOT_FOUND');
+        }
+
+        let room = await this.store.get(roomId);
+        const seat = room && token && room.players.find(p => p.token === token);
+        if (seat) {
+            room = await this.updatePlayer(roomId, seat.id, { socketId, connected: true });
+            return { roomId, room, player: room.players.find(p => p.id === seat.id), resumed: true };
+        }
+
+        const isNewRoom = !room;
+        if (isNewRoom) {
+            room = await this.createRoom(roomId, settings);
+        } else if (!canEnterRoom(room, { inviteCode, password })) {
+            return refuse('ROOM_PRIVATE', { roomId, hasPassword: !!room.passwordHash, wrongPassword: !!password });
+        }
+        if (room.status === 'in-progress' || room.status === 'finished') return refuse('GAME_IN_PROGRESS');
+        if (room.locked) return refuse('ROOM_LOCKED');
+        if (room.players.some(p => p.socketId === socketId)) return null;
+        if (room.players.length >= room.settings.seats) return refuse('ROOM_FULL');
+
+        // The player id is public and stable for the whole match; the session
+        // token is secret and lets this player reclaim the seat
+        const player = {
+            id: crypto.randomUUID(),
+            name,
+            index: room.players.length,
+            socketId,
+            token: crypto.randomUUID(),
+            connected: true
+        };
+        room = await this.store.update(roomId, {
+            players: [...room.players, player],
+            hostId: room.hostId || player.id
+        });
+        return { roomId, room, player, resumed: false, isNewRoom, full: room.players.length === room.settings.seats };
+    }
+
+    /**
+     * Lets a connection watch a room without taking a seat
+     * @param {Object} request - The spectateRoom payload plus the watching socketId
+     * @returns {Promise<Object>} - { room }, or a refusal
+     */
+    async spectateRoom({ roomId, name, inviteCode, password, socketId }) {
+        let room = await this.store.get(roomId);
+        if (!room) return refuse('ROOM_NOT_FOUND');
+        if (!canEnterRoom(room, { inviteCode, password })) {
+            return refuse('ROOM_PRIVATE', { roomId, hasPassword: !!room.passwordHash, wrongPassword: !!password });
+        }
+        if (!room.spectators.some(s => s.socketId === socketId)) {
+            room = await this.store.update(roomId, { spectators: [...room.spectators, { socketId, name }] });
+        }
+        return { room };
+    }
+
+    /**
+     * Looks up the room for a host-only action. Only the host may use these,
+     * and only before the game starts.
+     * @param {string} roomId - Room id
+     * @param {string} socketId - Who is asking
+     * @returns {Promise<Object>} - { room }, or a refusal
+     */
+    async getHostedRoom(roomId, socketId) {
+        const room = await this.store.get(roomId);
+        const player = room && room.players.find(p => p.socketId === socketId);
+        if (!player || player.id !== room.hostId) return refuse('NOT_HOST');
+        if (room.match) return refuse('GAME_STARTED');
+        return { room };
+    }
+
+    /**
+     * The host starts the game with the seats already taken
+     * @returns {Promise<Object>} - { room } if it may start, or a refusal
+     */
+    async startEarly(roomId, socketId) {
+        const hosted = await this.getHostedRoom(roomId, socketId);
+        if (hosted.error) return hosted;
+        if (hosted.room.players.length < MIN_PLAYERS) return refuse('TOO_FEW_PLAYERS');
+        return hosted;
+    }
+
+    /**
+     * The host seats a bot in the next empty seat
+     * @returns {Promise<Object>} - { room, bot, full }, or a refusal
+     */
+    async addBot(roomId, socketId) {
+        const hosted = await this.getHostedRoom(roomId, socketId);
+        if (hosted.error) return hosted;
+        const { room } = hosted;
+        if (room.players.length >= room.settings.seats) return refuse('ROOM_FULL');
+
+        const bot = createBot(room);
+        const updated = await this.store.update(roomId, { players: [...room.players, bot] });
+        return { room: updated, bot, full: updated.players.length === updated.settings.seats };
+    }
+
+    /**
+     * The host removes a player or a bot from the waiting room
+     * @returns {Promise<Object|null>} - A removePlayer() outcome, a refusal, or
+     *   null if there is no such player or it is the host
+     */
+    async kickPlayer(roomId, socketId, playerId) {
+        const hosted = await this.getHostedRoom(roomId, socketId);
+        if (hosted.error) return hosted;
+        const player = hosted.room.players.find(p => p.id === playerId);
+        if (!player || player.id === hosted.room.hostId) return null;
+        return this.removePlayer(roomId, playerId);
+    }
+
+    /**
+     * @param {boolean} locked - Whether the room takes no new players
+     * @returns {Promise<Object>} - { room }, or a refusal
+     */
+    async lockRoom(roomId, socketId, locked) {
+        const hosted = await this.getHostedRoom(roomId, socketId);
+        if (hosted.error) return hosted;
+        return { room: await this.store.update(roomId, { locked: locked === true }) };
+    }
+
+    /**
+     * @param {number} seats - The new seat limit, never below the players already seated
+     * @returns {Promise<Object>} - { room }, or a refusal
+     */
+    async setSeatLimit(roomId, socketId, seats) {
+        const hosted = await this.getHostedRoom(roomId, socketId);
+        if (hosted.error) return hosted;
+        const { room } = hosted;
+        const min = Math.max(MIN_PLAYERS, room.players.length);
+        const { seats: seatLimit } = getRoomSettings({ seats: Math.max(parseInt(seats, 10) || min, min) });
+        return { room: await this.store.update(roomId, { settings: { ...room.settings, seats: seatLimit } }) };
+    }
+
+    /**
+     * @param {string} playerId - The human who becomes host
+     * @returns {Promise<Object|null>} - { room }, a refusal, or null if there is no such human
+     */
+    async transferHost(roomId, socketId, playerId) {
+        const hosted = await this.getHostedRoom(roomId, socketId);
+        if (hosted.error) return hosted;
+        if (!hosted.room.players.some(p => p.id === playerId && !p.isBot)) return null;
+        return { room: await this.store.update(roomId, { hostId: playerId }) };
+    }
+
+    /**
+     * Takes a player out of a room for good (gone for too long, kicked, or
+     * not up for a rematch). The host role passes to the next human, and a
+     * room with only bots left is closed. A hand can't go on with an empty
+     * seat, so a game in progress is abandoned.
+     * @param {string} roomId - Room id
+     * @param {string} playerId - Player id
+     * @returns {Promise<Object|null>} - { player, room, closed, abandoned } (a closed
+     *   room as it was last), or null if there is no such player
+     */
+    async removePlayer(roomId, playerId) {
+        let room = await this.store.get(roomId);
+        const player = room && room.players.find(p => p.id === playerId);
+        if (!player) return null;
+
+        room = await this.store.update(roomId, { players: room.players.filter(p => p.id !== playerId) });
+        const humans = room.players.filter(p => !p.isBot);
+        if (humans.length === 0) {
+            await this.store.delete(roomId);
+            return { player, room, closed: true, abandoned: false };
+        }
+
+        const abandoned = !!room.match && room.status === 'in-progress';
+        const changes = abandoned
+            ? { status: 'finished' }
+            : { players: room.players.map((p, index) => ({ ...p, index })) };
+        if (room.hostId === playerId) changes.hostId = humans[0].id;
+        room = await this.store.update(roomId, changes);
+        return { player, room, closed: false, abandoned };
+    }
+
+    /**
+     * A connection dropped: it stops watching the room, and its seat, if it
+     * had one, is kept but marked disconnected
+     * @returns {Promise<Object|null>} - { room, player } if it held a seat
+     */
+    async disconnect(roomId, socketId) {
+        let room = await this.store.get(roomId);
+        if (!room) return null;
+        if (room.spectators.some(s => s.socketId === socketId)) {
+            room = await this.store.update(roomId, { spectators: room.spectators.filter(s => s.socketId !== socketId) });
+        }
+        const player = room.players.find(p => p.socketId === socketId);
+        if (!player) return null;
+
+        room = await this.updatePlayer(roomId, player.id, { connected: false, socketId: null });
+        return { room, player };
+    }
+
+    /**
+     * A disconnected player's grace period ran out: their seat goes. Mid-game
+     * a bot takes it over, cards and all, so the others can play on.
+     * @returns {Promise<Object|null>} - { botTookOver: true, player, room } with the
+     *   seat as the bot now has it, a removePlayer() outcome, or null if the
+     *   player is back or gone
+     */
+    async releaseSeat(roomId, playerId) {
+        const room = await this.store.get(roomId);
+        const player = room && room.players.find(p => p.id === playerId);
+        if (!player || player.connected) return null;
+
+        const humansLeft = room.players.some(p => p.id !== playerId && !p.isBot && p.connected);
+        if (!room.match || room.status !== 'in-progress' || !humansLeft) {
+            return this.removePlayer(roomId, playerId);
+        }
+
+        const name = `${player.name} (bot)`;
+        let updated = await this.updatePlayer(roomId, playerId, { token: null, isBot: true, connected: true, name });
+        if (updated.hostId === playerId) {
+            updated = await this.store.update(roomId, { hostId: updated.players.find(p => !p.isBot).id });
+        }
+        return { botTookOver: true, player: updated.players.find(p => p.id === playerId), room: updated };
+    }
+
+    /**
+     * A seated player's answer to "another match?" once the match is over
+     * (or was abandoned). A no leaves the room for good.
+     * @param {boolean} accept - Whether they want a rematch
+     * @returns {Promise<Object|null>} - { player, removed } (a removePlayer() outcome)
+     *   for a no, { player, rematch } (a checkRematch() outcome) for a yes, or
+     *   null if they can't vote
+     */
+    async voteRematch(roomId, socketId, accept) {
+        const room = await this.store.get(roomId);
+        const player = room && room.players.find(p => p.socketId === socketId);
+        if (!player || room.status !== 'finished') return null;
+
+        if (!accept) return { player, removed: await this.removePlayer(roomId, player.id) };
+        if (!room.rematchVotes.includes(player.id)) {
+            await this.store.update(roomId, { rematchVotes: [...room.rematchVotes, player.id] });
+        }
+        return { player, rematch: await this.checkRematch(roomId) };
+    }
+
+    /**
+     * Where the rematch vote of a finished room stands. Once every human left
+     * has said yes, the room goes back to waiting with the same seats in the
+     * same order, ready for a new match. Bots always agree; anyone who said
+     * no has already left.
+     * @param {string} roomId - Room id
+     * @returns {Promise<Object|null>} - { accepted, waiting, agreed, room } with the
+     *   ids of the humans who said yes and of those yet to answer, or null if
+     *   the room isn't finished
+     */
+    async checkRematch(roomId) {
+        let room = await this.store.get(roomId);
+        if (!room || room.status !== 'finished') return null;
+
+        const humans = room.players.filter(p => !p.isBot);
+        const accepted = humans.filter(p => room.rematchVotes.includes(p.id)).map(p => p.id);
+        const waiting = humans.filter(p => !room.rematchVotes.includes(p.id)).map(p => p.id);
+        const agreed = waiting.length === 0 && room.players.length >= MIN_PLAYERS;
+        if (agreed) {
+            room = await this.store.update(roomId, {
+                players: room.players.map((p, index) => ({ ...p, index })),
+                rematchVotes: [],
+                match: null,
+                status: 'waiting'
+            });
+        }
+        return { accepted, waiting, agreed, room };
+    }
+}
+
+module.exports = {
+    RoomManager,
+    ROOM_ERRORS,
+    canEnterRoom
+};
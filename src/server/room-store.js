@@ -0,0 +1,96 @@
+/**
+ * Room Store
+ *
+ * Where the server keeps its rooms, by id. server.js and the room manager
+ * only reach rooms through a store, so another implementation (a file, a
+ * database, a fake in a unit test) can be swapped in as long as it has the
+ * same methods, each returning a Promise:
+ *
+ * - create(roomId, room)     adds a room and resolves to it; rejects if the id is taken
+ * - get(roomId)              the room, or null
+ * - update(roomId, changes)  sets the given fields on the room and resolves to it (null if none)
+ * - list()                   every [roomId, room] pair, oldest room first
+ * - delete(roomId)           removes the room; true if there was one
+ *
+ * and emits 'change' (roomId) after every create, update and delete. The
+ * server saves its rooms when that fires.
+ *
+ * A room is plain data that survives JSON: no timers, sockets, Sets or class
+ * instances. The server keeps those (the running GameState and Match, and
+ * every timer) in its own map next to the store, and copies the match into
+ * the room as plain data whenever it changes.
+ *
+ * What get() and list() return is only for reading. Every change goes
+ * through update(), and a caller reads the room again (or uses what update()
+ * resolved to) instead of holding on to an old copy: a store may hand out a
+ * new object every time.
+ */
+
+const { EventEmitter } = require('events');
+
+class InMemoryRoomStore extends EventEmitter {
+    constructor() {
+        super();
+        this.rooms = new Map(); // roomId -> room
+    }
+
+    /**
+     * Adds a new room
+     * @param {string} roomId - Room id
+     * @param {Object} room - The room
+     * @returns {Promise<Object>} - The stored room
+     * @throws {Error} - If a room with that id already exists
+     */
+    async create(roomId, room) {
+        if (this.rooms.has(roomId)) {
+            throw new Error(`Room ${roomId} already exists`);
+        }
+        this.rooms.set(roomId, room);
+        this.emit('change', roomId);
+        return room;
+    }
+
+    /**
+     * @param {string} roomId - Room id
+     * @returns {Promise<Object|null>} - The room, or null if there is none
+     */
+    async get(roomId) {
+        return this.rooms.get(roomId) || null;
+    }
+
+    /**
+     * Sets some of a room's fields
+     * @param {string} roomId - Room id
+     * @param {Object} changes - Fields to set
+     * @returns {Promise<Object|null>} - The updated room, or null if there is none
+     */
+    async update(roomId, changes) {
+        const room = this.rooms.get(roomId);
+        if (!room) return null;
+        Object.assign(room, changes);
+        this.emit('change', roomId);
+        return room;
+    }
+
+    /**
+     * @returns {Promise<Array<Array>>} - Every [roomId, room] pair, oldest room first
+     */
+    async list() {
+        return [...this.rooms.entries()];
+    }
+
+    /**
+     * Removes a room
+     * @param {string} roomId - Room id
+     * @returns {Promise<boolean>} - Whether there was such a room
+     */
+    async delete(roomId) {
+        const deleted = this.rooms.delete(roomId);
+        if (deleted) this.emit('change', roomId);
+        return deleted;
+    }
+}
+
+module.exports = {
+    InMemoryRoomStore
+};
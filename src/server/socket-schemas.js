@@ -0,0 +1,212 @@
+/**
+ * Socket Payload Schemas
+ *
+ * What each client event may carry. server.js checks every inbound payload
+ * against its event's schema before any handler sees it, so handlers (and
+ * GameState) only ever get the types and sizes described here.
+ *
+ * A schema describes one value:
+ * - type:       'string', 'integer', 'boolean', 'object' or 'array'
+ * - optional:   the value may be missing (undefined, or null for anything but an object)
+ * - minLength / maxLength: string length bounds
+ * - min / max:  integer bounds
+ * - oneOf:      the allowed values
+ * - fields:     schemas of an object's fields (other fields are ignored)
+ * - oneRequired: names of an object's optional fields, at least one of which must be given (and not empty)
+ * - items / minItems / maxItems: schema of every array element, and the array's size bounds
+ */
+
+const { CARD_SUITS, CARD_RANKS, CARD_VALUES, JOKER, GAME_CONFIG } = require('../../public/js/shared/game-config');
+const { RULESETS } = require('../../public/js/shared/rulesets');
+
+// The most cards anyone can hold: the biggest deal (two decks with jokers)
+// split between the fewest players, plus the cards the exchange hands over
+const LARGEST_DECK = 2 * (CARD_SUITS.length * CARD_RANKS.length + JOKER.suits.length);
+const MAX_HAND_SIZE = Math.ceil(LARGEST_DECK / GAME_CONFIG.MIN_PLAYERS) + Math.max(...GAME_CONFIG.EXCHANGE_SIZES);
+
+const roomId = { type: 'string', minLength: 1, maxLength: GAME_CONFIG.ROOM_NAME_MAX_LENGTH };
+const playerName = { type: 'string', minLength: 1, maxLength: 20 };
+const playerId = { type: 'string', minLength: 1, maxLength: 64 };
+const secret = { type: 'string', maxLength: 64, optional: true }; // Tokens, invite codes and passwords
+
+const card = {
+    type: 'object',
+    fields: {
+        suit: { type: 'string', oneOf: [...CARD_SUITS, ...JOKER.suits] },
+        rank: { type: 'string', oneOf: [...CARD_RANKS, JOKER.rank], optional: true },
+        value: { type: 'integer', min: CARD_VALUES['3'], max: JOKER.value }
+    }
+};
+
+// A new room's settings; numbers are clamped to their range by the server
+const roomSettings = {
+    type: 'object',
+    optional: true,
+    fields: {
+        seats: { type: 'integer', optional: true },
+        maxHands: { type: 'integer', optional: true },
+        targetScore: { type: 'integer', optional: true },
+        ruleset: { type: 'string', oneOf: Object.keys(RULESETS), optional: true },
+        jokers: { type: 'boolean', optional: true },
+        private: { type: 'boolean', optional: true },
+        password: secret
+    }
+};
+
+// Fields every game action carries (see guardAction in server.js)
+const actionFields = {
+    roomId,
+    stateVersion: { type: 'integer', min: 0, optional: true },
+    actionId: { type: 'string', maxLength: 64, optional: true }
+};
+
+const SOCKET_SCHEMAS = {
+    listRooms: { type: 'object', optional: true, fields: {} },
+    joinRoom: {
+        type: 'object',
+        oneRequired: ['roomId', 'inviteCode'],
+        fields: {
+            roomId: { ...roomId, optional: true }, // Left out when joining by invite code
+            name: playerName,
+            settings: roomSettings,
+            token: secret,
+            inviteCode: secret,
+            password: secret
+        }
+    },
+    spectateRoom: {
+        type: 'object',
+        fields: { roomId, name: playerName, inviteCode: secret, password: secret }
+    },
+    startGame: { type: 'object', fields: { roomId } },
+    addBot: { type: 'object', fields: { roomId } },
+    kickPlayer: { type: 'object', fields: { roomId, playerId } },
+    lockRoom: { type: 'object', fields: { roomId, locked: { type: 'boolean' } } },
+    setSeatLimit: { type: 'object', fields: { roomId, seats: { type: 'integer' } } }, // Clamped by the handler
+    transferHost: { type: 'object', fields: { roomId, playerId } },
+    rematchVote: { type: 'object', fields: { roomId, accept: { type: 'boolean' } } },
+    joinLobby: {
+        type: 'object',
+        optional: true,
+        fields: { name: { type: 'string', maxLength: 20, optional: true } }
+    },
+    chat: {
+        type: 'object',
+        fields: {
+            roomId: { ...roomId, optional: true }, // Left out in the lobby
+            // Trimmed and held to GAME_CONFIG.CHAT.MAX_LENGTH by the chat handler,
+            // which answers with its own EMPTY_MESSAGE and MESSAGE_TOO_LONG codes
+            message: { type: 'string' }
+        }
+    },
+    playCards: {
+        type: 'object',
+        fields: { ...actionFields, cards: { type: 'array', items: card, minItems: 1, maxItems: MAX_HAND_SIZE } }
+    },
+    skipTurn: { type: 'object', fields: actionFields },
+    exchangeCards: {
+        type: 'object',
+        fields: {
+            ...actionFields,
+            cards: { type: 'array', items: card, minItems: 1, maxItems: Math.max(...GAME_CONFIG.EXCHANGE_SIZES) }
+        }
+    },
+    requestSync: { type: 'object', fields: { roomId } }
+};
+
+// The body of POST /api/rooms: the same settings as joinRoom. The id is
+// checked by the route itself, which answers INVALID_ROOM_ID.
+const CREATE_ROOM_SCHEMA = {
+    type: 'object',
+    fields: { settings: roomSettings }
+};
+
+/**
+ * Checks a value against a schema
+ * @param {Object} schema - See the top of this file
+ * @param {*} value - The value received
+ * @param {string} [path] - Where the value sits in the payload, for the error
+ * @returns {Object|null} - { field, reason } for the first problem found, or null if it fits
+ */
+function validatePayload(schema, value, path = 'payload') {
+    const fail = reason => ({ field: path, reason });
+
+    // A handler can default a missing object, but destructuring null throws
+    if (value === undefined || (value === null && schema.type !== 'object')) {
+        return schema.optional ? null : fail('is required');
+    }
+
+    switch (schema.type) {
+        case 'string':
+            if (typeof value !== 'string') return fail('must be a string');
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                return fail(`must be at least ${schema.minLength} characters`);
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                return fail(`must be at most ${schema.maxLength} characters`);
+            }
+            break;
+        case 'integer':
+            if (!Number.isInteger(value)) return fail('must be a whole number');
+            if (schema.min !== undefined && value < schema.min) return fail(`must be at least ${schema.min}`);
+            if (schema.max !== undefined && value > schema.max) return fail(`must be at most ${schema.max}`);
+            break;
+        case 'boolean':
+            if (typeof value !== 'boolean') return fail('must be true or false');
+            break;
+        case 'object': {
+            if (value === null || typeof value !== 'object' || Array.isArray(value)) return fail('must be an object');
+            for (const [name, fieldSchema] of Object.entries(schema.fields)) {
+                const error = validatePayload(fieldSchema, value[name], `${path}.${name}`);
+                if (error) return error;
+            }
+            if (schema.oneRequired && !schema.oneRequired.some(name => value[name])) {
+                return fail(`must have ${schema.oneRequired.join(' or ')}`);
+            }
+            break;
+        }
+        case 'array': {
+            if (!Array.isArray(value)) return fail('must be a list');
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                return fail(`must hold at least ${schema.minItems} item(s)`);
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                return fail(`must hold at most ${schema.maxItems} item(s)`);
+            }
+            for (let i = 0; i < value.length; i++) {
+                const error = validatePayload(schema.items, value[i], `${path}[${i}]`);
+                if (error) return error;
+            }
+            break;
+        }
+        default:
+            return fail(`has an unknown schema type ${schema.type}`);
+    }
+
+    if (schema.oneOf && !schema.oneOf.includes(value)) {
+        return fail(`must be one of ${schema.oneOf.join(', ')}`);
+    }
+    return null;
+}
+
+/**
+ * Checks a whole packet: a known event, a payload that fits its schema and,
+ * after the payload, nothing but the acknowledgement callback
+ * @param {Array} packet - [event, payload, ...the rest] as Socket.IO hands it over
+ * @returns {Object|null} - { field, reason } for the first problem found, or null if it fits
+ */
+function validatePacket([event, payload, ...rest]) {
+    const schema = SOCKET_SCHEMAS[event];
+    if (!schema) return { field: 'event', reason: 'is not a known event' };
+    if (rest.some(arg => typeof arg !== 'function')) {
+        return { field: 'acknowledgement', reason: 'must be a function' };
+    }
+    return validatePayload(schema, payload);
+}
+
+module.exports = {
+    SOCKET_SCHEMAS,
+    CREATE_ROOM_SCHEMA,
+    validatePayload,
+    validatePacket
+};
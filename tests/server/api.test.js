@@ -0,0 +1,63 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, connect, nextEvent } = require('./helpers');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('POST /api/rooms', () => {
+    let server;
+    before(async () => { server = await startServer({ config: { EMPTY_ROOM_TIMEOUT: 200 } }); });
+    after(() => server.stop());
+
+    const createRoom = body => fetch(`${server.url}/api/rooms`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body
+    });
+
+    test('answers a body that is not JSON with a JSON error', async () => {
+        const response = await createRoom('{bad');
+        assert.strictEqual(response.status, 400);
+        assert.match(response.headers.get('content-type'), /application\/json/);
+        assert.strictEqual((await response.json()).code, 'INVALID_BODY');
+    });
+
+    test('refuses settings, and bodies, of the wrong shape', async () => {
+        const refusals = [
+            [{ settings: { ruleset: 'nope' } }, 'body.settings.ruleset'],
+            [{ settings: { seats: 'abc' } }, 'body.settings.seats'],
+            [{ settings: { password: { a: 1 } } }, 'body.settings.password'],
+            [{ settings: null }, 'body.settings'],
+            [[], 'body'],
+            [null, 'body']
+        ];
+        const roomCount = async () => (await (await fetch(`${server.url}/api/rooms`)).json()).length;
+        const roomsBefore = await roomCount();
+        for (const [body, field] of refusals) {
+            const response = await createRoom(JSON.stringify(body));
+            assert.strictEqual(response.status, 400);
+            const error = await response.json();
+            assert.strictEqual(error.code, 'INVALID_BODY');
+            assert.strictEqual(error.field, field, JSON.stringify(body));
+            assert.ok(error.reason);
+        }
+        assert.strictEqual(await roomCount(), roomsBefore);
+
+        const created = await createRoom(JSON.stringify({ id: 'checked', settings: { seats: 3, ruleset: 'scum' } }));
+        assert.strictEqual(created.status, 201);
+        assert.strictEqual((await created.json()).settings.ruleset, 'scum');
+    });
+
+    test('closes a room nobody joins, and keeps one somebody did', async () => {
+        assert.strictEqual((await createRoom(JSON.stringify({ id: 'unjoined' }))).status, 201);
+        assert.strictEqual((await createRoom(JSON.stringify({ id: 'joined' }))).status, 201);
+        const socket = await connect(server.url);
+        socket.emit('joinRoom', { roomId: 'joined', name: 'Ana' });
+        await nextEvent(socket, 'joined');
+
+        await wait(400);
+        assert.strictEqual((await fetch(`${server.url}/api/rooms/unjoined`)).status, 404);
+        assert.strictEqual((await fetch(`${server.url}/api/rooms/joined`)).status, 200);
+        socket.close();
+    });
+});
@@ -0,0 +1,51 @@
+/**
+ * A room store that keeps rooms the way a database would: as JSON. Every
+ * call stores or hands out a fresh copy that went through JSON. A change
+ * made anywhere but through update(), a read of a room fetched before the
+ * change, or a room field that isn't plain data goes wrong against it, so
+ * the server run on it (ROOM_STORE) shows whether server.js keeps to the
+ * store contract in src/server/room-store.js.
+ */
+
+const { EventEmitter } = require('events');
+
+class RoomStore extends EventEmitter {
+    constructor() {
+        super();
+        this.rooms = new Map(); // roomId -> the room as JSON
+    }
+
+    async create(roomId, room) {
+        if (this.rooms.has(roomId)) {
+            throw new Error(`Room ${roomId} already exists`);
+        }
+        this.rooms.set(roomId, JSON.stringify(room));
+        this.emit('change', roomId);
+        return this.get(roomId);
+    }
+
+    async get(roomId) {
+        return this.rooms.has(roomId) ? JSON.parse(this.rooms.get(roomId)) : null;
+    }
+
+    async update(roomId, changes) {
+        if (!this.rooms.has(roomId)) return null;
+        this.rooms.set(roomId, JSON.stringify({ ...JSON.parse(this.rooms.get(roomId)), ...changes }));
+        this.emit('change', roomId);
+        return this.get(roomId);
+    }
+
+    async list() {
+        return [...this.rooms.keys()].map(roomId => [roomId, JSON.parse(this.rooms.get(roomId))]);
+    }
+
+    async delete(roomId) {
+        const deleted = this.rooms.delete(roomId);
+        if (deleted) this.emit('change', roomId);
+        return deleted;
+    }
+}
+
+module.exports = {
+    RoomStore
+};
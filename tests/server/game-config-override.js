@@ -0,0 +1,8 @@
+/**
+ * Preloaded into a test server (node -r) to change GAME_CONFIG before the
+ * server reads it: TEST_GAME_CONFIG holds the fields to replace, as JSON
+ */
+
+const { GAME_CONFIG } = require('../../public/js/shared/game-config');
+
+Object.assign(GAME_CONFIG, JSON.parse(process.env.TEST_GAME_CONFIG || '{}'));
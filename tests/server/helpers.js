@@ -0,0 +1,112 @@
+/**
+ * Test helpers: a real server in a child process, and socket clients for it
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { io } = require('socket.io-client');
+
+const SERVER = path.join(__dirname, '..', '..', 'server.js');
+const CONFIG_OVERRIDE = path.join(__dirname, 'game-config-override.js');
+
+/**
+ * Starts server.js on a random port with its own data directory
+ * @param {Object} [options]
+ * @param {Object} [options.env] - Extra environment variables
+ * @param {Object} [options.files] - File path (relative) -> contents to put in the data directory first
+ * @param {Object} [options.config] - GAME_CONFIG fields to replace, e.g. shorter delays
+ * @returns {Promise<Object>} - { url, dataDir, process, output(), stop() }
+ */
+function startServer({ env = {}, files = {}, config = {} } = {}) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'presidente-test-'));
+    Object.entries(files).forEach(([name, contents]) => {
+        fs.mkdirSync(path.dirname(path.join(dataDir, name)), { recursive: true });
+        fs.writeFileSync(path.join(dataDir, name), contents);
+    });
+    const port = 40000 + Math.floor(Math.random() * 20000);
+    const child = spawn(process.execPath, ['-r', CONFIG_OVERRIDE, SERVER], {
+        env: {
+            ...process.env,
+            PORT: String(port),
+            DATA_FILE: path.join(dataDir, 'rooms.json'),
+            TEST_GAME_CONFIG: JSON.stringify(config),
+            ...env
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let output = '';
+    return new Promise((resolve, reject) => {
+        const onData = chunk => {
+            output += chunk;
+            if (output.includes('Server running')) {
+                resolve({
+                    url: `http://localhost:${port}`,
+                    dataDir,
+                    process: child,
+                    output: () => output,
+                    stop: () => stopServer(child, dataDir)
+                });
+            }
+        };
+        child.stdout.on('data', onData);
+        child.stderr.on('data', onData);
+        child.on('exit', code => reject(new Error(`Server exited with code ${code}:\n${output}`)));
+    });
+}
+
+/**
+ * Stops a server started by startServer() and removes its data
+ * @param {ChildProcess} child - The server process
+ * @param {string} dataDir - Its data directory
+ * @returns {Promise<void>}
+ */
+function stopServer(child, dataDir) {
+    return new Promise(resolve => {
+        const done = () => {
+            fs.rmSync(dataDir, { recursive: true, force: true });
+            resolve();
+        };
+        if (child.exitCode !== null) return done();
+        child.once('exit', done);
+        child.kill();
+    });
+}
+
+/**
+ * Opens a socket to the server and waits until it is connected
+ * @param {string} url - Server address
+ * @returns {Promise<Socket>}
+ */
+function connect(url) {
+    const socket = io(url, { forceNew: true, reconnection: false });
+    return new Promise((resolve, reject) => {
+        socket.once('connect', () => resolve(socket));
+        socket.once('connect_error', reject);
+    });
+}
+
+/**
+ * Waits for the next event of a type on a socket
+ * @param {Socket} socket - The socket
+ * @param {string} event - Event name
+ * @param {number} [timeout] - Milliseconds before giving up
+ * @returns {Promise<*>} - The event's payload
+ */
+function nextEvent(socket, event, timeout = 2000) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`No ${event} within ${timeout}ms`)), timeout);
+        socket.once(event, payload => {
+            clearTimeout(timer);
+            resolve(payload);
+        });
+    });
+}
+
+module.exports = {
+    startServer,
+    connect,
+    nextEvent
+};
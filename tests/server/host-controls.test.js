@@ -0,0 +1,31 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, connect, nextEvent } = require('./helpers');
+
+describe('host controls', () => {
+    let server;
+    before(async () => { server = await startServer(); });
+    after(() => server.stop());
+
+    test('a new bot takes the lowest bot number free in the room', async () => {
+        const socket = await connect(server.url);
+        const joined = nextEvent(socket, 'playerList');
+        socket.emit('joinRoom', { roomId: 'bots', name: 'Ana', settings: { seats: 4 } });
+        await joined;
+
+        const addBot = async () => {
+            const players = nextEvent(socket, 'playerList');
+            socket.emit('addBot', { roomId: 'bots' });
+            return players;
+        };
+        await addBot();
+        const players = await addBot();
+        assert.deepStrictEqual(players.map(p => p.name), ['Ana', 'Bot 1', 'Bot 2']);
+
+        const afterKick = nextEvent(socket, 'playerList');
+        socket.emit('kickPlayer', { roomId: 'bots', playerId: players[1].id });
+        await afterKick;
+        assert.deepStrictEqual((await addBot()).map(p => p.name), ['Ana', 'Bot 2', 'Bot 1']);
+        socket.close();
+    });
+});
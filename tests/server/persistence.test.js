@@ -0,0 +1,153 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { GameState } = require('../../public/js/shared/rules');
+const { startServer, connect, nextEvent } = require('./helpers');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const players = [{ id: 'p1', name: 'Ana' }, { id: 'p2', name: 'Bia' }];
+const settings = { seats: 2, maxHands: 5, targetScore: 10, ruleset: 'presidente', jokers: false };
+
+/**
+ * A room as the save file stores it
+ * @param {Object} [match] - The saved match, if the game had started
+ * @returns {Object}
+ */
+function savedRoom(match = null) {
+    return {
+        players: players.map((p, index) => ({ ...p, index, token: `token-${p.id}`, connected: true })),
+        match,
+        settings,
+        status: match ? 'in-progress' : 'waiting',
+        hostId: 'p1',
+        locked: false,
+        rematchVotes: [],
+        stateVersion: 3,
+        recentActions: [],
+        chatHistory: [],
+        isPrivate: false,
+        inviteCode: null,
+        passwordHash: null
+    };
+}
+
+describe('restoring saved rooms', () => {
+    test('brings back waiting rooms and games in progress', async () => {
+        const currentHand = JSON.parse(JSON.stringify(new GameState(players)));
+        const match = {
+            id: 'saved-match',
+            players,
+            ruleset: 'presidente',
+            jokers: false,
+            maxHands: 5,
+            targetScore: 10,
+            scores: { p1: 0, p2: 0 },
+            results: [],
+            handNumber: 1,
+            currentHand,
+            status: 'playing'
+        };
+        const rooms = { waiting: savedRoom(), playing: savedRoom(match) };
+        const server = await startServer({ files: { 'rooms.json': JSON.stringify({ version: 1, rooms }) } });
+        try {
+            assert.match(server.output(), /Restored 2 room\(s\)/);
+
+            const room = await (await fetch(`${server.url}/api/rooms/waiting`)).json();
+            assert.deepStrictEqual(room.players.map(p => p.name), ['Ana', 'Bia']);
+            const game = await (await fetch(`${server.url}/api/rooms/playing`)).json();
+            assert.strictEqual(game.match.id, 'saved-match');
+            assert.strictEqual(game.game.players.length, 2);
+
+            // A player's session token still takes their seat back
+            const socket = await connect(server.url);
+            // Both arrive together, so listen for both first
+            const joined = nextEvent(socket, 'joined');
+            const gameState = nextEvent(socket, 'gameState');
+            socket.emit('joinRoom', { roomId: 'playing', name: 'Ana', token: 'token-p1' });
+            assert.strictEqual((await joined).index, 0);
+            assert.strictEqual((await gameState).yourHand.length, currentHand.players[0].hand.length);
+            socket.close();
+        } finally {
+            await server.stop();
+        }
+    });
+});
+
+describe('saving', () => {
+    test('looking around and lobby chat write nothing', async () => {
+        const server = await startServer();
+        try {
+            const socket = await connect(server.url);
+            socket.emit('listRooms');
+            await nextEvent(socket, 'roomList');
+            socket.emit('joinLobby', { name: 'Ana' });
+            assert.deepStrictEqual(await socket.emitWithAck('chat', { message: 'hi' }), { ok: true });
+            socket.emit('requestSync', { roomId: 'nowhere' });
+            await wait(100);
+            assert.ok(!fs.existsSync(path.join(server.dataDir, 'rooms.json')));
+            socket.close();
+        } finally {
+            await server.stop();
+        }
+    });
+
+    test('keeps finished matches and their replays out of the rooms file', async () => {
+        const config = { TURN_TIMEOUT: 50, NEXT_HAND_DELAY: 10, BOT_DELAY: { MIN: 1, MAX: 5 } };
+        const server = await startServer({ config });
+        let restarted;
+        try {
+            const socket = await connect(server.url);
+            socket.emit('joinRoom', { roomId: 'table', name: 'Ana', settings: { seats: 2, maxHands: 2 } });
+            await nextEvent(socket, 'joined');
+            socket.emit('addBot', { roomId: 'table' });
+            const { id: matchId } = await nextEvent(socket, 'matchOver', 20000);
+            socket.close();
+            await wait(100);
+
+            const results = fs.readFileSync(path.join(server.dataDir, 'results.jsonl'), 'utf8').trim().split('\n');
+            assert.strictEqual(results.length, 1);
+            assert.strictEqual(JSON.parse(results[0]).id, matchId);
+            assert.ok(!results[0].includes('replays'));
+            const replays = fs.readFileSync(path.join(server.dataDir, 'replays', `${matchId}.jsonl`), 'utf8');
+            assert.strictEqual(replays.trim().split('\n').length, JSON.parse(results[0]).hands.length);
+            const saved = fs.readFileSync(path.join(server.dataDir, 'rooms.json'), 'utf8');
+            assert.ok(!saved.includes('"replays"') && !saved.includes('"results":[{'));
+
+            // Still served after a restart
+            const files = {
+                'rooms.json': saved,
+                'results.jsonl': results.join('\n'),
+                [`replays/${matchId}.jsonl`]: replays
+            };
+            restarted = await startServer({ files });
+            assert.strictEqual((await fetch(`${restarted.url}/api/games/${matchId}/result`)).status, 200);
+            const hand = await (await fetch(`${restarted.url}/api/games/${matchId}/hands/1/replay`)).json();
+            assert.strictEqual(hand.matchId, matchId);
+        } finally {
+            await server.stop();
+            if (restarted) await restarted.stop();
+        }
+    });
+
+    test('skips the lines of a results or replay file cut short by a crash', async () => {
+        const result = { id: 'old-match', roomId: 'gone', standings: [], hands: [[], []] };
+        const line = JSON.stringify(result);
+        const files = {
+            'results.jsonl': `${line}\n${line.slice(0, 20)}`,
+            'replays/old-match.jsonl': `{"hand":1,"actio\n${JSON.stringify({ hand: 2, actionLog: [] })}\n`
+        };
+        const server = await startServer({ files });
+        try {
+            assert.deepStrictEqual(await (await fetch(`${server.url}/api/games/old-match/result`)).json(), result);
+            assert.strictEqual(fs.readFileSync(path.join(server.dataDir, 'results.jsonl'), 'utf8'), `${line}\n`);
+            assert.strictEqual((await fetch(`${server.url}/api/games/old-match/hands/1/replay`)).status, 404);
+            const hand = await (await fetch(`${server.url}/api/games/old-match/hands/2/replay`)).json();
+            assert.strictEqual(hand.hand, 2);
+            assert.match(server.output(), /Skipping unreadable line 2 of the match results/);
+        } finally {
+            await server.stop();
+        }
+    });
+});
@@ -0,0 +1,210 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { RoomManager } = require('../../src/server/room-manager');
+const { InMemoryRoomStore } = require('../../src/server/room-store');
+
+/**
+ * A room manager on an empty in-memory store, with a room named "table"
+ * @param {Object} [settings] - The room's settings
+ * @param {Array<string>} [names] - Players to seat, each on socket "<name>-socket"; the first hosts
+ * @returns {Promise<Object>} - { rooms, store, players }
+ */
+async function setUp(settings = { seats: 4 }, names = ['Ana', 'Bia']) {
+    const store = new InMemoryRoomStore();
+    const rooms = new RoomManager(store);
+    const players = [];
+    for (const name of names) {
+        const { player } = await rooms.joinRoom({ roomId: 'table', name, settings, socketId: `${name}-socket` });
+        players.push(player);
+    }
+    return { rooms, store, players };
+}
+
+// What server.js does when the game starts: the room holds a match
+const startMatch = store => store.update('table', { status: 'in-progress', match: { id: 'match-1' } });
+
+describe('joining', () => {
+    test('the first to join creates the room and hosts it; a full room says so', async () => {
+        const { rooms, store, players: [ana] } = await setUp({ seats: 2 }, ['Ana']);
+        const room = await store.get('table');
+        assert.strictEqual(room.hostId, ana.id);
+        assert.strictEqual(room.settings.seats, 2);
+
+        const joined = await rooms.joinRoom({ roomId: 'table', name: 'Bia', socketId: 'Bia-socket' });
+        assert.strictEqual(joined.isNewRoom, false);
+        assert.strictEqual(joined.player.index, 1);
+        assert.strictEqual(joined.full, true);
+        assert.strictEqual(joined.room.hostId, ana.id);
+
+        const refused = await rooms.joinRoom({ roomId: 'table', name: 'Caio', socketId: 'Caio-socket' });
+        assert.strictEqual(refused.error, 'ROOM_FULL');
+        assert.strictEqual(await rooms.joinRoom({ roomId: 'table', name: 'Ana', socketId: 'Ana-socket' }), null);
+    });
+
+    test('a session token takes the seat back on a new connection', async () => {
+        const { rooms, store, players: [ana] } = await setUp();
+        await rooms.disconnect('table', 'Ana-socket');
+        await startMatch(store);
+
+        const back = await rooms.joinRoom({ roomId: 'table', name: 'Ana', token: ana.token, socketId: 'new-socket' });
+        assert.strictEqual(back.resumed, true);
+        assert.strictEqual(back.player.id, ana.id);
+        assert.strictEqual(back.player.socketId, 'new-socket');
+        assert.strictEqual(back.player.connected, true);
+
+        const stranger = await rooms.joinRoom({ roomId: 'table', name: 'Ana', token: 'made-up', socketId: 'other' });
+        assert.strictEqual(stranger.error, 'GAME_IN_PROGRESS');
+    });
+
+    test('a private room needs its invite code or its password', async () => {
+        const { rooms } = await setUp({ password: 'secret' }, ['Ana']);
+        const room = (await rooms.spectateRoom({ roomId: 'table', name: 'Ana', password: 'secret', socketId: 'Ana-socket' })).room;
+        assert.strictEqual(room.isPrivate, true);
+        assert.ok(!room.passwordHash.includes('secret'));
+
+        const refused = await rooms.joinRoom({ roomId: 'table', name: 'Bia', password: 'wrong', socketId: 'Bia-socket' });
+        assert.strictEqual(refused.error, 'ROOM_PRIVATE');
+        assert.deepStrictEqual(refused.details, { roomId: 'table', hasPassword: true, wrongPassword: true });
+
+        const byInvite = await rooms.joinRoom({ inviteCode: room.inviteCode, name: 'Bia', socketId: 'Bia-socket' });
+        assert.strictEqual(byInvite.roomId, 'table');
+        const byPassword = await rooms.joinRoom({ roomId: 'table', name: 'Caio', password: 'secret', socketId: 'Caio-socket' });
+        assert.strictEqual(byPassword.player.index, 2);
+        assert.strictEqual((await rooms.joinRoom({ inviteCode: 'nope', name: 'Duda', socketId: 'd' })).error, 'ROOM_NOT_FOUND');
+    });
+
+    test('a spectator watches without a seat and leaves when disconnected', async () => {
+        const { rooms, store } = await setUp();
+        assert.strictEqual((await rooms.spectateRoom({ roomId: 'missing', name: 'Eva', socketId: 'e' })).error, 'ROOM_NOT_FOUND');
+        await rooms.spectateRoom({ roomId: 'table', name: 'Eva', socketId: 'e' });
+        await rooms.spectateRoom({ roomId: 'table', name: 'Eva', socketId: 'e' });
+        assert.deepStrictEqual((await store.get('table')).spectators, [{ socketId: 'e', name: 'Eva' }]);
+        assert.strictEqual((await store.get('table')).players.length, 2);
+
+        assert.strictEqual(await rooms.disconnect('table', 'e'), null);
+        assert.deepStrictEqual((await store.get('table')).spectators, []);
+    });
+});
+
+describe('host controls', () => {
+    test('only the host, and only before the game starts', async () => {
+        const { rooms, store, players: [, bia] } = await setUp();
+        assert.strictEqual((await rooms.addBot('table', 'Bia-socket')).error, 'NOT_HOST');
+        assert.strictEqual((await rooms.lockRoom('table', 'nobody', true)).error, 'NOT_HOST');
+        assert.strictEqual((await rooms.kickPlayer('table', 'Ana-socket', 'unknown')), null);
+        assert.ok((await rooms.startEarly('table', 'Ana-socket')).room);
+
+        await startMatch(store);
+        const refused = await rooms.kickPlayer('table', 'Ana-socket', bia.id);
+        assert.deepStrictEqual([refused.error, refused.message], ['GAME_STARTED', 'The game has already started.']);
+    });
+
+    test('starting early needs two players', async () => {
+        const { rooms } = await setUp({ seats: 4 }, ['Ana']);
+        assert.strictEqual((await rooms.startEarly('table', 'Ana-socket')).error, 'TOO_FEW_PLAYERS');
+    });
+
+    test('bots fill seats with the lowest free number, and a kick closes the gap', async () => {
+        const { rooms, store, players: [ana, bia] } = await setUp({ seats: 4 });
+        const { bot: first } = await rooms.addBot('table', 'Ana-socket');
+        const { bot: second, full } = await rooms.addBot('table', 'Ana-socket');
+        assert.deepStrictEqual([first.name, second.name, full], ['Bot 1', 'Bot 2', true]);
+        assert.strictEqual((await rooms.addBot('table', 'Ana-socket')).error, 'ROOM_FULL');
+
+        const kicked = await rooms.kickPlayer('table', 'Ana-socket', bia.id);
+        assert.strictEqual(kicked.player.id, bia.id);
+        assert.deepStrictEqual(kicked.room.players.map(p => [p.name, p.index]), [['Ana', 0], ['Bot 1', 1], ['Bot 2', 2]]);
+        assert.strictEqual(await rooms.kickPlayer('table', 'Ana-socket', ana.id), null); // Not the host
+        await rooms.kickPlayer('table', 'Ana-socket', first.id);
+        assert.strictEqual((await rooms.addBot('table', 'Ana-socket')).bot.name, 'Bot 1');
+        assert.strictEqual((await store.get('table')).players.length, 3);
+    });
+
+    test('locking, the seat limit and handing the host role over', async () => {
+        const { rooms, players: [, bia] } = await setUp({ seats: 6 }, ['Ana', 'Bia', 'Caio']);
+        assert.strictEqual((await rooms.lockRoom('table', 'Ana-socket', true)).room.locked, true);
+        assert.strictEqual((await rooms.joinRoom({ roomId: 'table', name: 'Duda', socketId: 'd' })).error, 'ROOM_LOCKED');
+
+        assert.strictEqual((await rooms.setSeatLimit('table', 'Ana-socket', 2)).room.settings.seats, 3);
+        assert.strictEqual((await rooms.setSeatLimit('table', 'Ana-socket', 99)).room.settings.seats, 8);
+
+        const { bot } = await rooms.addBot('table', 'Ana-socket');
+        assert.strictEqual(await rooms.transferHost('table', 'Ana-socket', bot.id), null);
+        assert.strictEqual((await rooms.transferHost('table', 'Ana-socket', bia.id)).room.hostId, bia.id);
+        assert.strictEqual((await rooms.lockRoom('table', 'Ana-socket', false)).error, 'NOT_HOST');
+    });
+});
+
+describe('leaving', () => {
+    test('the host role passes on, and the last human closes the room', async () => {
+        const { rooms, store, players: [ana, bia] } = await setUp();
+        await rooms.addBot('table', 'Ana-socket');
+
+        const first = await rooms.removePlayer('table', ana.id);
+        assert.strictEqual(first.closed, false);
+        assert.strictEqual(first.room.hostId, bia.id);
+        assert.deepStrictEqual(first.room.players.map(p => p.index), [0, 1]);
+
+        const last = await rooms.removePlayer('table', bia.id);
+        assert.strictEqual(last.closed, true);
+        assert.strictEqual(await store.get('table'), null);
+        assert.strictEqual(await rooms.removePlayer('table', bia.id), null);
+    });
+
+    test('leaving mid-game abandons it', async () => {
+        const { rooms, store, players: [, bia] } = await setUp({ seats: 4 }, ['Ana', 'Bia', 'Caio']);
+        await startMatch(store);
+        const left = await rooms.removePlayer('table', bia.id);
+        assert.strictEqual(left.abandoned, true);
+        assert.strictEqual(left.room.status, 'finished');
+    });
+
+    test('a seat nobody came back for goes to a bot mid-game, and is freed otherwise', async () => {
+        const { rooms, store, players: [ana, bia] } = await setUp({ seats: 4 }, ['Ana', 'Bia', 'Caio']);
+        await rooms.disconnect('table', 'Ana-socket');
+        assert.strictEqual((await rooms.releaseSeat('table', bia.id)), null); // Still connected
+
+        await startMatch(store);
+        const released = await rooms.releaseSeat('table', ana.id);
+        assert.strictEqual(released.botTookOver, true);
+        assert.deepStrictEqual([released.player.name, released.player.isBot, released.player.token], ['Ana (bot)', true, null]);
+        assert.strictEqual(released.room.hostId, bia.id);
+
+        await store.update('table', { status: 'finished' });
+        await rooms.disconnect('table', 'Bia-socket');
+        const freed = await rooms.releaseSeat('table', bia.id);
+        assert.strictEqual(freed.player.id, bia.id);
+        assert.deepStrictEqual(freed.room.players.map(p => p.name), ['Ana (bot)', 'Caio']);
+    });
+});
+
+describe('rematch', () => {
+    test('starts once every human agrees; a no leaves the room', async () => {
+        const { rooms, store, players: [ana, bia, caio] } = await setUp({ seats: 4 }, ['Ana', 'Bia', 'Caio']);
+        await rooms.addBot('table', 'Ana-socket');
+        assert.strictEqual(await rooms.voteRematch('table', 'Ana-socket', true), null); // Nothing to vote on yet
+        await store.update('table', { status: 'finished', match: { id: 'match-1' } });
+
+        const yes = await rooms.voteRematch('table', 'Ana-socket', true);
+        assert.deepStrictEqual(yes.rematch.accepted, [ana.id]);
+        assert.deepStrictEqual(yes.rematch.waiting, [bia.id, caio.id]);
+        assert.strictEqual(yes.rematch.agreed, false);
+
+        const no = await rooms.voteRematch('table', 'Bia-socket', false);
+        assert.strictEqual(no.removed.player.id, bia.id);
+        assert.deepStrictEqual((await rooms.checkRematch('table')).waiting, [caio.id]);
+
+        const { rematch } = await rooms.voteRematch('table', 'Caio-socket', true);
+        assert.strictEqual(rematch.agreed, true);
+        assert.deepStrictEqual(rematch.room.players.map(p => [p.name, p.index]), [['Ana', 0], ['Caio', 1], ['Bot 1', 2]]);
+        assert.deepStrictEqual([rematch.room.status, rematch.room.match, rematch.room.rematchVotes], ['waiting', null, []]);
+    });
+});
+
+test('rooms stay plain data', async () => {
+    const { rooms, store } = await setUp({ seats: 4, private: true });
+    await rooms.addBot('table', 'Ana-socket');
+    await rooms.spectateRoom({ roomId: 'table', name: 'Eva', socketId: 'e' });
+    const room = await store.get('table');
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(room)), room);
+});
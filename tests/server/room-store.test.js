@@ -0,0 +1,90 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { InMemoryRoomStore } = require('../../src/server/room-store');
+const { RoomStore: CopyingRoomStore } = require('./copying-room-store');
+const { startServer, connect, nextEvent } = require('./helpers');
+
+const room = () => ({ players: [], spectators: [], chatHistory: [], rematchVotes: [], recentActions: [] });
+
+// The contract every store keeps (see src/server/room-store.js)
+[InMemoryRoomStore, CopyingRoomStore].forEach(Store => {
+    describe(Store.name, () => {
+        test('creates, reads, updates, lists and deletes rooms', async () => {
+            const store = new Store();
+            await store.create('a', room());
+            await store.create('b', room());
+            await assert.rejects(store.create('a', room()), /already exists/);
+
+            assert.strictEqual((await store.update('a', { locked: true })).locked, true);
+            assert.strictEqual((await store.get('a')).locked, true);
+            assert.strictEqual(await store.update('missing', { locked: true }), null);
+            assert.deepStrictEqual((await store.list()).map(([id]) => id), ['a', 'b']);
+
+            assert.strictEqual(await store.delete('a'), true);
+            assert.strictEqual(await store.delete('a'), false);
+            assert.strictEqual(await store.get('a'), null);
+        });
+
+        test('reports every change', async () => {
+            const store = new Store();
+            const changes = [];
+            store.on('change', roomId => changes.push(roomId));
+            await store.create('a', room());
+            await store.get('a');
+            await store.list();
+            await store.update('a', { locked: true });
+            await store.delete('a');
+            await store.delete('a');
+            assert.deepStrictEqual(changes, ['a', 'a', 'a']);
+        });
+    });
+});
+
+describe('server on another room store', () => {
+    test('runs a room from the waiting room to a rematch', async () => {
+        const server = await startServer({
+            env: { ROOM_STORE: path.join(__dirname, 'copying-room-store.js') },
+            config: { TURN_TIMEOUT: 50, NEXT_HAND_DELAY: 10, BOT_DELAY: { MIN: 1, MAX: 5 } }
+        });
+        try {
+            const socket = await connect(server.url);
+            let players = nextEvent(socket, 'playerList');
+            socket.emit('joinRoom', { roomId: 'table', name: 'Ana', settings: { seats: 3, maxHands: 2 } });
+            await players;
+
+            // Host controls
+            players = nextEvent(socket, 'playerList');
+            socket.emit('addBot', { roomId: 'table' });
+            const [, bot] = await players;
+            players = nextEvent(socket, 'playerList');
+            let roomInfo = nextEvent(socket, 'roomInfo');
+            socket.emit('kickPlayer', { roomId: 'table', playerId: bot.id });
+            assert.deepStrictEqual((await players).map(p => p.name), ['Ana']);
+            await roomInfo;
+            roomInfo = nextEvent(socket, 'roomInfo');
+            socket.emit('setSeatLimit', { roomId: 'table', seats: 2 });
+            assert.strictEqual((await roomInfo).seats, 2);
+            assert.deepStrictEqual(await socket.emitWithAck('chat', { roomId: 'table', message: 'hi' }), { ok: true });
+
+            // A full room starts; turns time out until the match is over
+            socket.emit('addBot', { roomId: 'table' });
+            const { id: matchId } = await nextEvent(socket, 'matchOver', 20000);
+            const result = await (await fetch(`${server.url}/api/games/${matchId}/result`)).json();
+            assert.deepStrictEqual(result.players.map(p => p.name), ['Ana', 'Bot 1']);
+
+            const rematch = nextEvent(socket, 'rematchStarting');
+            const starting = nextEvent(socket, 'gameStarting');
+            socket.emit('rematchVote', { roomId: 'table', accept: true });
+            assert.strictEqual((await rematch).players.length, 2);
+            await starting;
+
+            const state = await (await fetch(`${server.url}/api/rooms/table`)).json();
+            assert.strictEqual(state.roomStatus, 'in-progress');
+            assert.notStrictEqual(state.match.id, matchId);
+            socket.close();
+        } finally {
+            await server.stop();
+        }
+    });
+});
@@ -0,0 +1,91 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const { validatePacket } = require('../../src/server/socket-schemas');
+const { startServer, connect, nextEvent } = require('./helpers');
+
+const card = { suit: 'hearts', rank: '7', value: 7 };
+
+describe('validatePacket', () => {
+    test('accepts well-formed packets', () => {
+        assert.strictEqual(validatePacket(['listRooms']), null);
+        assert.strictEqual(validatePacket(['joinLobby']), null);
+        assert.strictEqual(validatePacket(['playCards', { roomId: 'r', cards: [card] }, () => {}]), null);
+        assert.strictEqual(validatePacket(['joinRoom', { roomId: null, name: 'Ana', token: null, inviteCode: 'abcd' }]), null);
+    });
+
+    test('refuses null where an object is expected, even an optional one', () => {
+        assert.deepStrictEqual(validatePacket(['joinLobby', null]), { field: 'payload', reason: 'must be an object' });
+        assert.deepStrictEqual(validatePacket(['playCards', null, () => {}]), { field: 'payload', reason: 'must be an object' });
+        assert.deepStrictEqual(validatePacket(['playCards', { roomId: 'r', cards: [null] }]),
+            { field: 'payload.cards[0]', reason: 'must be an object' });
+    });
+
+    test('refuses anything but a function after the payload', () => {
+        const problem = { field: 'acknowledgement', reason: 'must be a function' };
+        assert.deepStrictEqual(validatePacket(['playCards', { roomId: 'r', cards: [card] }, 'notafunction']), problem);
+        assert.deepStrictEqual(validatePacket(['chat', { message: 'hi' }, 5]), problem);
+    });
+
+    test('lets a play hold every card of the biggest possible hand', () => {
+        // 2 players, one 54-card deck: 27 cards each, plus 2 from the exchange
+        const hand = Array.from({ length: 29 }, () => card);
+        assert.strictEqual(validatePacket(['playCards', { roomId: 'r', cards: hand }]), null);
+        const tooMany = Array.from({ length: 57 }, () => card);
+        assert.strictEqual(validatePacket(['playCards', { roomId: 'r', cards: tooMany }]).field, 'payload.cards');
+    });
+
+    test('refuses wrong types, sizes and cards', () => {
+        assert.strictEqual(validatePacket(['joinRoom', { roomId: { $gt: '' }, name: 'X' }]).field, 'payload.roomId');
+        assert.strictEqual(validatePacket(['joinRoom', { roomId: 'r', name: 'x'.repeat(21) }]).field, 'payload.name');
+        assert.strictEqual(validatePacket(['playCards', { roomId: 'r', cards: [] }]).field, 'payload.cards');
+        assert.strictEqual(validatePacket(['playCards', { roomId: 'r', cards: [{ ...card, suit: 'cups' }] }]).field, 'payload.cards[0].suit');
+        assert.strictEqual(validatePacket(['playCards', { roomId: 'r', cards: [{ ...card, value: '7' }] }]).field, 'payload.cards[0].value');
+        assert.strictEqual(validatePacket(['bogus', {}]).field, 'event');
+    });
+
+    test('refuses a joinRoom with neither a room name nor an invite code', () => {
+        const problem = { field: 'payload', reason: 'must have roomId or inviteCode' };
+        assert.deepStrictEqual(validatePacket(['joinRoom', { name: 'Ana' }]), problem);
+        assert.deepStrictEqual(validatePacket(['joinRoom', { roomId: null, name: 'Ana', inviteCode: '' }]), problem);
+    });
+});
+
+describe('server', () => {
+    let server;
+    before(async () => { server = await startServer(); });
+    after(() => server.stop());
+
+    test('survives the packets that used to crash it', async () => {
+        const socket = await connect(server.url);
+
+        socket.emit('joinLobby', null);
+        assert.strictEqual((await nextEvent(socket, 'gameError')).code, 'INVALID_PAYLOAD');
+
+        socket.emit('playCards', { roomId: 'r', cards: [card] }, 'notafunction');
+        const refusal = await nextEvent(socket, 'gameError');
+        assert.strictEqual(refusal.code, 'INVALID_PAYLOAD');
+        assert.strictEqual(refusal.field, 'acknowledgement');
+
+        socket.emit('chat', { message: 'hi' }, 5);
+        assert.strictEqual((await nextEvent(socket, 'gameError')).field, 'acknowledgement');
+
+        socket.emit('joinRoom', { name: 'Ana' });
+        assert.strictEqual((await nextEvent(socket, 'gameError')).reason, 'must have roomId or inviteCode');
+        assert.strictEqual((await fetch(`${server.url}/api/rooms/undefined`)).status, 404);
+
+        // Still up and answering
+        socket.emit('listRooms');
+        assert.ok(Array.isArray(await nextEvent(socket, 'roomList')));
+        assert.strictEqual(server.process.exitCode, null);
+        socket.close();
+    });
+
+    test('answers refusals through the acknowledgement when there is one', async () => {
+        const socket = await connect(server.url);
+        const response = await socket.emitWithAck('playCards', { roomId: 'r', cards: [{ ...card, value: 99 }] });
+        assert.strictEqual(response.ok, false);
+        assert.strictEqual(response.code, 'INVALID_PAYLOAD');
+        assert.strictEqual(response.field, 'payload.cards[0].value');
+        socket.close();
+    });
+});
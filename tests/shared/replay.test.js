@@ -0,0 +1,90 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { GameState, replayGame } = require('../../public/js/shared/rules');
+
+// Logged cards are Card instances; a replay file holds plain objects
+const plain = value => JSON.parse(JSON.stringify(value));
+
+const players = ['Ana', 'Bia', 'Caio', 'Duda'].map((name, index) => ({ id: `p${index}`, name }));
+
+/**
+ * Plays a hand to the end: each player hands back their lowest cards in the
+ * exchange, then plays the first legal single or set, or passes
+ * @param {Object} options - GameState options (ruleset, jokers, previousStandings)
+ * @returns {GameState} - The finished hand
+ */
+function playHand(options) {
+    const gameState = new GameState(players, options);
+    for (let moves = 0; !gameState.isGameOver(); moves++) {
+        assert.ok(moves < 1000, 'the hand never ends');
+        const index = gameState.currentPlayerIndex;
+        const hand = [...gameState.players[index].hand].sort((a, b) => a.value - b.value);
+
+        if (gameState.gamePhase === 'exchanging') {
+            const { count } = gameState.getPendingExchange(index);
+            assert.ok(gameState.exchangeCards(index, hand.slice(0, count)));
+            continue;
+        }
+
+        const count = gameState.currentHighestCards.length || 1;
+        const play = hand
+            .map(card => hand.filter(other => other.value === card.value).slice(0, count))
+            .find(cards => cards.length === count && gameState.checkPlay(gameState.players[index], cards) === null);
+        if (play) assert.ok(gameState.playCards(index, play));
+        else assert.ok(gameState.skipTurn());
+    }
+    return gameState;
+}
+
+describe('replays', () => {
+    for (const ruleset of ['presidente', 'daifugo', 'scum']) {
+        test(`replaying a ${ruleset} hand gives back the same hand`, () => {
+            const previousStandings = players.map(p => p.id);
+            const played = playHand({ ruleset, jokers: true, previousStandings });
+            const replay = plain(played.getReplay());
+            const replayed = replayGame(replay);
+
+            assert.deepStrictEqual(replayed.players, played.players);
+            assert.deepStrictEqual(replayed.getStandings(), played.getStandings());
+            assert.deepStrictEqual(replayed.getStandings(), replay.standings);
+            assert.deepStrictEqual(
+                replayed.players.map(p => p.finishPosition),
+                played.players.map(p => p.finishPosition)
+            );
+            assert.deepStrictEqual(replayed.actionLog, played.actionLog);
+        });
+    }
+
+    test('stops after the given number of steps', () => {
+        const replay = plain(playHand({ ruleset: 'presidente', previousStandings: players.map(p => p.id) }).getReplay());
+
+        const dealt = replayGame(replay, 1);
+        assert.strictEqual(dealt.gamePhase, 'exchanging');
+        assert.deepStrictEqual(plain(dealt.actionLog), replay.actions.slice(0, 1));
+
+        for (const steps of [2, 5, 10]) {
+            const partial = replayGame(replay, steps);
+            assert.ok(partial.actionLog.length >= steps);
+            assert.deepStrictEqual(plain(partial.actionLog), replay.actions.slice(0, partial.actionLog.length));
+        }
+        assert.deepStrictEqual(plain(replayGame(replay, replay.actions.length).actionLog), replay.actions);
+    });
+
+    test('refuses a file that was tampered with', () => {
+        const replay = playHand({ ruleset: 'presidente' }).getReplay();
+        const tampered = () => plain(replay);
+
+        const wrongCard = tampered();
+        const play = wrongCard.actions.find(action => action.type === 'play');
+        play.cards = [{ suit: 'hearts', rank: '9', value: 99 }];
+        assert.throws(() => replayGame(wrongCard), /was refused by the rules/);
+
+        const wrongFinish = tampered();
+        const finish = wrongFinish.actions.find(action => action.type === 'finish');
+        finish.position = 4;
+        assert.throws(() => replayGame(wrongFinish), /recorded actions differ/);
+
+        assert.throws(() => replayGame({ ...tampered(), version: 99 }), /Not a presidente-replay file/);
+        assert.throws(() => replayGame(null), /Not a presidente-replay file/);
+    });
+});
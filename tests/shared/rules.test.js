@@ -0,0 +1,208 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { Card, GameState, createDeck, getTitle } = require('../../public/js/shared/rules');
+const { CARD_VALUES, JOKER } = require('../../public/js/shared/game-config');
+
+const card = (rank, suit = 'hearts') => new Card(suit, rank, CARD_VALUES[rank]);
+const joker = (suit = 'red') => new Card(suit, JOKER.rank, JOKER.value);
+const ranksHeld = player => player.hand.map(c => c.rank).sort();
+
+/**
+ * A hand dealt from the given cards, with seat 0 leading
+ * @param {Array<Array<Card>>} hands - Each seat's cards
+ * @param {Object} [options] - Other GameState options (ruleset, previousStandings)
+ * @returns {GameState}
+ */
+function dealHands(hands, options = {}) {
+    const players = hands.map((hand, index) => ({ id: `p${index}`, name: `Player ${index + 1}` }));
+    return new GameState(players, { openingPlayerIndex: 0, ...options, hands });
+}
+
+describe('dealing', () => {
+    test('deals the whole deck, from two decks past five players', () => {
+        assert.strictEqual(createDeck().length, 52);
+        assert.strictEqual(createDeck({ jokers: true }).length, 54);
+        for (let seats = 2; seats <= 8; seats++) {
+            const players = Array.from({ length: seats }, (_, id) => ({ id, name: `${id}` }));
+            const dealt = new GameState(players).players.map(p => p.hand.length);
+            assert.strictEqual(dealt.reduce((a, b) => a + b), seats > 5 ? 104 : 52);
+            assert.ok(Math.max(...dealt) - Math.min(...dealt) <= 1);
+        }
+    });
+
+    test('the opening card of a preset decides who leads', () => {
+        const hands = [[card('4'), card('5')], [card('3', 'clubs'), card('6')], [card('3', 'diamonds'), card('7')]];
+        assert.strictEqual(dealHands(hands, { ruleset: 'scum', openingPlayerIndex: undefined }).currentPlayerIndex, 1);
+        assert.strictEqual(dealHands(hands, { ruleset: 'daifugo', openingPlayerIndex: undefined }).currentPlayerIndex, 2);
+    });
+});
+
+describe('card exchange', () => {
+    const hands = [
+        [card('3'), card('4'), card('5')],
+        [card('6'), card('7'), card('8')],
+        [card('9'), card('10'), card('J')],
+        [card('Q'), card('K'), card('2')]
+    ];
+    // Seat 0 was Presidente, seat 1 Vice, seat 2 Sobre and seat 3 Cu
+    const previousStandings = ['p0', 'p1', 'p2', 'p3'];
+
+    test('the lower titles give their best cards and the higher ones choose what to give back', () => {
+        const gameState = dealHands(hands, { previousStandings });
+        assert.strictEqual(gameState.gamePhase, 'exchanging');
+        assert.deepStrictEqual(ranksHeld(gameState.players[0]), ['2', '3', '4', '5', 'K']);
+        assert.deepStrictEqual(ranksHeld(gameState.players[1]), ['6', '7', '8', 'J']);
+        assert.strictEqual(gameState.currentPlayerIndex, 0);
+
+        assert.strictEqual(gameState.checkExchange(0, [card('3')]), 'WRONG_COUNT');
+        assert.strictEqual(gameState.checkExchange(0, [card('3'), card('9')]), 'NOT_IN_HAND');
+        assert.strictEqual(gameState.checkExchange(2, [card('9')]), 'NOT_YOUR_TURN');
+        assert.ok(gameState.exchangeCards(0, [card('3'), card('4')]));
+        assert.strictEqual(gameState.currentPlayerIndex, 1);
+        assert.ok(gameState.exchangeCards(1, [card('6')]));
+
+        // The Cu opens the hand
+        assert.strictEqual(gameState.gamePhase, 'playing');
+        assert.strictEqual(gameState.currentPlayerIndex, 3);
+        assert.deepStrictEqual(ranksHeld(gameState.players[3]), ['3', '4', 'Q']);
+        assert.deepStrictEqual(ranksHeld(gameState.players[2]), ['10', '6', '9']);
+    });
+
+    test('with three players only the Presidente and the Cu swap', () => {
+        const gameState = dealHands(hands.slice(0, 3), { previousStandings: ['p0', 'p1', 'p2'] });
+        assert.deepStrictEqual(gameState.exchanges, [{ fromIndex: 2, toIndex: 0, count: 2, returned: false }]);
+    });
+});
+
+describe('plays', () => {
+    test('a play must beat the table with as many cards of the same kind', () => {
+        const gameState = dealHands([
+            [card('5'), card('5', 'spades'), card('9')],
+            [card('4'), card('4', 'spades'), card('6'), card('6', 'spades'), card('K')]
+        ]);
+        const [first, second] = gameState.players;
+        assert.strictEqual(gameState.checkPlay(first, [card('5'), card('9')]), 'MIXED_RANKS');
+        assert.ok(gameState.playCards(0, [card('5'), card('5', 'spades')]));
+
+        assert.strictEqual(gameState.checkPlay(second, [card('K')]), 'WRONG_COUNT');
+        assert.strictEqual(gameState.checkPlay(second, [card('4'), card('4', 'spades')]), 'TOO_LOW');
+        assert.strictEqual(gameState.checkPlay(first, [card('9')]), 'NOT_YOUR_TURN');
+        assert.ok(gameState.playCards(1, [card('6'), card('6', 'spades')]));
+    });
+
+    test('runs are only played where the preset allows them', () => {
+        const run = [card('5', 'clubs'), card('6', 'clubs'), card('7', 'clubs')];
+        const mixedRun = [card('5', 'clubs'), card('6', 'spades'), card('7', 'clubs')];
+        const presets = ['presidente', 'daifugo', 'scum'].map(ruleset => dealHands([run, mixedRun], { ruleset }));
+        const [presidente, daifugo, scum] = presets;
+
+        assert.strictEqual(presidente.classifyPlay(run), null);
+        assert.deepStrictEqual(daifugo.classifyPlay(run), { type: 'run', value: 7, length: 3 });
+        assert.strictEqual(daifugo.classifyPlay(mixedRun), null);
+        assert.deepStrictEqual(scum.classifyPlay(mixedRun), { type: 'run', value: 7, length: 3 });
+        assert.strictEqual(scum.classifyPlay([card('5'), card('6')]), null);
+    });
+
+    test('a higher run of the same length beats a run', () => {
+        const gameState = dealHands([
+            [card('5'), card('6'), card('7'), card('K')],
+            [card('6', 'spades'), card('7', 'spades'), card('8', 'spades'), card('9', 'spades')]
+        ], { ruleset: 'scum' });
+        assert.ok(gameState.playCards(0, [card('5'), card('6'), card('7')]));
+        const second = gameState.players[1];
+        assert.strictEqual(gameState.checkPlay(second, [card('6', 'spades'), card('7', 'spades'), card('8', 'spades'), card('9', 'spades')]), 'WRONG_COUNT');
+        assert.ok(gameState.playCards(1, [card('7', 'spades'), card('8', 'spades'), card('9', 'spades')]));
+    });
+
+    test('jokers stand in for a rank, fill runs and beat anything alone', () => {
+        const gameState = dealHands([
+            [card('9'), joker(), card('3')],
+            [card('2'), card('2', 'spades'), joker('black'), card('4')]
+        ], { ruleset: 'scum' });
+        assert.deepStrictEqual(gameState.classifyPlay([card('9'), joker()]), { type: 'set', value: 9, length: 2 });
+        assert.deepStrictEqual(gameState.classifyPlay([card('5'), joker(), card('7')]), { type: 'run', value: 7, length: 3 });
+
+        assert.ok(gameState.playCards(0, [card('9'), joker()]));
+        assert.ok(gameState.playCards(1, [card('2'), card('2', 'spades')])); // 2s clear the table in scum
+        assert.strictEqual(gameState.currentHighestCards.length, 0);
+        assert.strictEqual(gameState.currentPlayerIndex, 1);
+        assert.ok(gameState.playCards(1, [card('4')]));
+        assert.strictEqual(gameState.checkPlay(gameState.players[0], [card('3')]), 'TOO_LOW');
+
+        const lone = dealHands([[card('2'), card('3')], [joker(), card('4')]]);
+        assert.ok(lone.playCards(0, [card('2')]));
+        assert.strictEqual(lone.checkPlay(lone.players[1], [joker()]), null);
+    });
+
+    test('four of a kind starts a revolution where the preset has one', () => {
+        const quads = [card('8'), card('8', 'spades'), card('8', 'clubs'), card('8', 'diamonds')];
+        const hands = [[...quads, card('5'), card('K')], [card('4'), card('A'), card('J')]];
+
+        const daifugo = dealHands(hands, { ruleset: 'daifugo' });
+        assert.ok(daifugo.playCards(0, quads));
+        assert.strictEqual(daifugo.revolution, true);
+        daifugo.skipTurn(); // Seat 1 can't answer four cards; seat 0 leads again
+        assert.ok(daifugo.playCards(0, [card('5')]));
+        assert.strictEqual(daifugo.checkPlay(daifugo.players[1], [card('A')]), 'TOO_LOW');
+        assert.ok(daifugo.playCards(1, [card('4')]));
+
+        const presidente = dealHands(hands, { ruleset: 'presidente' });
+        assert.ok(presidente.playCards(0, quads));
+        assert.strictEqual(presidente.revolution, false);
+    });
+
+    test('a pass sits a player out of the trick only where the preset says so', () => {
+        const hands = [[card('5'), card('9')], [card('6'), card('10')], [card('7'), card('J')]];
+
+        const daifugo = dealHands(hands, { ruleset: 'daifugo' });
+        assert.ok(daifugo.playCards(0, [card('5')]));
+        assert.ok(daifugo.skipTurn());
+        assert.ok(daifugo.playCards(2, [card('7')]));
+        assert.strictEqual(daifugo.currentPlayerIndex, 0); // Seat 1 is locked out
+
+        const presidente = dealHands(hands, { ruleset: 'presidente' });
+        assert.ok(presidente.playCards(0, [card('5')]));
+        assert.ok(presidente.skipTurn());
+        assert.ok(presidente.playCards(2, [card('7')]));
+        assert.ok(presidente.skipTurn());
+        assert.strictEqual(presidente.currentPlayerIndex, 1);
+    });
+});
+
+describe('finishing', () => {
+    test('going out on a 2 is a foul where the preset forbids it', () => {
+        const hands = [[card('2')], [card('3'), card('4')], [card('5'), card('6')]];
+
+        const daifugo = dealHands(hands, { ruleset: 'daifugo' });
+        assert.ok(daifugo.playCards(0, [card('2')]));
+        assert.strictEqual(daifugo.players[0].finishPosition, 3);
+
+        const presidente = dealHands(hands, { ruleset: 'presidente' });
+        assert.ok(presidente.playCards(0, [card('2')]));
+        assert.strictEqual(presidente.players[0].finishPosition, 1);
+        assert.strictEqual(presidente.getGameWinner().id, 'p0');
+    });
+
+    test('the last player holding cards takes the last place and ends the hand', () => {
+        const gameState = dealHands([[card('K')], [card('4'), card('5')]]);
+        assert.ok(gameState.playCards(0, [card('K')]));
+        assert.ok(gameState.isGameOver());
+        assert.deepStrictEqual(gameState.getStandings(), ['p0', 'p1']);
+    });
+
+    test('titles at every table size', () => {
+        const titles = {
+            2: ['Presidente', 'Cu'],
+            3: ['Presidente', null, 'Cu'],
+            4: ['Presidente', 'Vice', 'Sobre', 'Cu'],
+            5: ['Presidente', 'Vice', null, 'Sobre', 'Cu'],
+            6: ['Presidente', 'Vice', null, null, 'Sobre', 'Cu'],
+            7: ['Presidente', 'Vice', null, null, null, 'Sobre', 'Cu'],
+            8: ['Presidente', 'Vice', null, null, null, null, 'Sobre', 'Cu']
+        };
+        Object.entries(titles).forEach(([seats, expected]) => {
+            const given = expected.map((title, index) => getTitle(index + 1, Number(seats)));
+            assert.deepStrictEqual(given, expected, `${seats} seats`);
+        });
+    });
+});